@@ -10,6 +10,7 @@ import {
     BitTorrentTransport,
     WoTManager,
     FeedManager,
+    FileFeedStore,
     ProfileManager
 } from 'nostr-over-bt';
 import { TerminalUi } from './Ui.js';
@@ -83,14 +84,18 @@ const DEFAULT_RELAYS = [
     'wss://relay.snort.social'
 ];
 
-const identity = IdentityManager.fromNostrSecretKey(privateKeyHex);
+// A supplied key may predate HKDF derivation: keep its old P2P address resolvable while followers move over
+// (FeedManager drops the migration on restore if that address never had a feed)
+const identity = process.env.PRIVATE_KEY
+    ? await IdentityManager.migrateFromLegacy(privateKeyHex)
+    : IdentityManager.fromNostrSecretKey(privateKeyHex);
 
 const bt = new BitTorrentTransport({ dht: true, announce: ['ws://localhost:8081'] });
 const relays = process.env.RELAY_URL ? [process.env.RELAY_URL] : DEFAULT_RELAYS;
 const nostr = new NostrTransport(relays);
 const hybrid = new HybridTransport(nostr, bt);
 const wot = new WoTManager(nostr);
-const feed = new FeedManager(bt, identity);
+const feed = new FeedManager(bt, identity, { store: new FileFeedStore(process.env.FEED_STATE_DIR || './.feed-state') });
 const profiles = new ProfileManager(nostr);
 
 const manager = new TransportManager(hybrid, { wotManager: wot, feedManager: feed });
@@ -186,6 +191,7 @@ ui.onInput = async (msg) => {
             break;
 
         case '/quit':
+            await feed.disconnect();
             await hybrid.disconnect().catch(() => {});
             process.exit(0);
             break;
@@ -212,6 +218,7 @@ async function start() {
         console.log(`DHT Status: Connecting...`);
         
         await hybrid.connect();
+        await identity.delegate(privateKey);
         console.log(`Network: Online.`);
 
         // Subscribe to global notes (Kind 1)
@@ -237,27 +244,34 @@ async function start() {
             }
         });
 
-        // Initial P2P sync
-        manager.subscribeFollowsP2P().then(events => {
-            if (events && events.length > 0) {
-                console.log(`Found ${events.length} P2P events.`);
-                events.forEach(e => {
-                    profiles.fetchProfile(e.pubkey);
-                    const name = profiles.getDisplayName(e.pubkey);
+        // Initial P2P sync: render each follow's feed as soon as it resolves.
+        // Feeds only list pointers, so download the events themselves.
+        (async () => {
+            for await (const { items } of manager.streamFollowsP2P()) {
+                if (items.length === 0) continue;
+                console.log(`Found ${items.length} P2P events.`);
+
+                for await (const { item, event, error } of manager.hydrateP2P(items)) {
+                    if (error) {
+                        console.warn(`P2P Sync: skipped ${item.id.substring(0, 8)} (${error.message})`);
+                        continue;
+                    }
+                    profiles.fetchProfile(event.pubkey);
+                    const name = profiles.getDisplayName(event.pubkey);
                     const messageObj = {
                         author: name,
-                        content: e.content,
+                        content: event.content,
                         source: 'P2P',
                         isHybrid: true // P2P events are inherently hybrid
                     };
                     allMessages.push(messageObj);
 
                     if (currentView === 'global' || (currentView === 'bt-only' && messageObj.isHybrid)) {
-                        ui.logMessage(name, e.content, 'P2P');
+                        ui.logMessage(name, event.content, 'P2P');
                     }
-                });
+                }
             }
-        }).catch(err => console.warn(`P2P Sync: ${err.message}`));
+        })().catch(err => console.warn(`P2P Sync: ${err.message}`));
 
         setInterval(() => {
             const dht = bt.getDHT();
@@ -1,10 +1,143 @@
 import Database from 'better-sqlite3';
 import os from 'os';
+import { getExpiration } from 'nostr-over-bt/utils/TagUtils';
+
+/**
+ * Schema migrations, applied in order. `PRAGMA user_version` records how many
+ * have run, so each one executes exactly once per database file.
+ */
+const MIGRATIONS = [
+    // 1: keep the original event JSON verbatim for serving
+    (db) => {
+        const columns = db.prepare('PRAGMA table_info(events)').all().map(c => c.name);
+        if (!columns.includes('raw')) db.exec('ALTER TABLE events ADD COLUMN raw TEXT');
+
+        // Older rows only have the lossy tag index; rebuild what we can
+        const rows = db.prepare('SELECT * FROM events WHERE raw IS NULL').all();
+        const tagsOf = db.prepare('SELECT name, value FROM tags WHERE event_id = ? ORDER BY rowid');
+        const setRaw = db.prepare('UPDATE events SET raw = ? WHERE id = ?');
+        for (const row of rows) {
+            const tags = tagsOf.all(row.id).map(t => [t.name, t.value]);
+            setRaw.run(RelayDatabase.serialize({ ...row, tags }), row.id);
+        }
+        if (rows.length > 0) console.log(`[DB] Rebuilt raw JSON for ${rows.length} legacy events.`);
+    },
+    // 2: address replaceable events by (pubkey, kind, d_tag) without a tag join
+    (db) => {
+        const columns = db.prepare('PRAGMA table_info(events)').all().map(c => c.name);
+        if (!columns.includes('d_tag')) db.exec('ALTER TABLE events ADD COLUMN d_tag TEXT');
+
+        const rows = db.prepare('SELECT id, kind, raw FROM events WHERE kind >= 30000 AND kind < 40000').all();
+        const setDTag = db.prepare('UPDATE events SET d_tag = ? WHERE id = ?');
+        for (const row of rows) {
+            setDTag.run(RelayDatabase.getDTag(JSON.parse(row.raw)), row.id);
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_replaceable ON events(pubkey, kind, d_tag)');
+    },
+    // 3: NIP-40 expiration timestamps, hidden from queries and swept once past
+    (db) => {
+        const columns = db.prepare('PRAGMA table_info(events)').all().map(c => c.name);
+        if (!columns.includes('expires_at')) db.exec('ALTER TABLE events ADD COLUMN expires_at INTEGER');
+
+        const rows = db.prepare(`SELECT id, raw FROM events WHERE raw LIKE '%"expiration"%'`).all();
+        const setExpiry = db.prepare('UPDATE events SET expires_at = ? WHERE id = ?');
+        for (const row of rows) {
+            setExpiry.run(getExpiration(JSON.parse(row.raw)), row.id);
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_expires_at ON events(expires_at) WHERE expires_at IS NOT NULL');
+    },
+    // 4: composite indexes for the common REQ shapes. Tags carry their event's
+    // created_at so a tag filter can be read newest-first straight off the index.
+    (db) => {
+        const columns = db.prepare('PRAGMA table_info(tags)').all().map(c => c.name);
+        if (!columns.includes('created_at')) db.exec('ALTER TABLE tags ADD COLUMN created_at INTEGER');
+
+        db.exec(`
+            UPDATE tags SET created_at = (SELECT created_at FROM events WHERE id = tags.event_id);
+            DELETE FROM tags WHERE rowid NOT IN (SELECT MIN(rowid) FROM tags GROUP BY event_id, name, value);
+            DROP INDEX IF EXISTS idx_tags_nv;
+            CREATE INDEX IF NOT EXISTS idx_tags_nv_created ON tags(name, value, created_at);
+            CREATE INDEX IF NOT EXISTS idx_tags_event ON tags(event_id);
+            CREATE INDEX IF NOT EXISTS idx_kind_created ON events(kind, created_at);
+            CREATE INDEX IF NOT EXISTS idx_pubkey_kind_created ON events(pubkey, kind, created_at);
+            ANALYZE;
+        `);
+    }
+];
+
+const STATEMENT_CACHE_SIZE = 256;
 
 export class RelayDatabase {
     constructor(dbPath) {
         this.db = new Database(dbPath);
+        this.statements = new Map(); // sql -> prepared statement, least recently used first
         this.init();
+        this.migrate();
+    }
+
+    /**
+     * Serializes an event for the `raw` column (NIP-01 fields only).
+     * @param {object} event
+     * @returns {string}
+     */
+    static serialize(event) {
+        const { id, pubkey, created_at, kind, tags, content, sig } = event;
+        return JSON.stringify({ id, pubkey, created_at, kind, tags, content, sig });
+    }
+
+    /** @returns {boolean} - Kinds 0, 3 and 10000-19999: one per pubkey and kind. */
+    static isReplaceable(kind) {
+        return (kind >= 10000 && kind < 20000) || kind === 0 || kind === 3;
+    }
+
+    /** @returns {boolean} - Kinds 30000-39999: one per pubkey, kind and `d` tag. */
+    static isAddressable(kind) {
+        return kind >= 30000 && kind < 40000;
+    }
+
+    /** @returns {boolean} - Kinds 20000-29999: relayed to subscribers, never stored. */
+    static isEphemeral(kind) {
+        return kind >= 20000 && kind < 30000;
+    }
+
+    /**
+     * @param {object} event
+     * @returns {string|null} - The `d` tag value for addressable kinds, null otherwise.
+     */
+    static getDTag(event) {
+        if (!RelayDatabase.isAddressable(event.kind)) return null;
+        return event.tags.find(t => t[0] === 'd')?.[1] || '';
+    }
+
+    /**
+     * Returns a cached prepared statement for `sql`. Filters with different
+     * list lengths compile to different SQL, so the cache is bounded.
+     * @param {string} sql
+     * @returns {import('better-sqlite3').Statement}
+     */
+    _prepare(sql) {
+        let stmt = this.statements.get(sql);
+        if (stmt) {
+            this.statements.delete(sql);
+        } else {
+            stmt = this.db.prepare(sql);
+            if (this.statements.size >= STATEMENT_CACHE_SIZE) {
+                this.statements.delete(this.statements.keys().next().value);
+            }
+        }
+        this.statements.set(sql, stmt);
+        return stmt;
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.db.transaction(() => {
+                MIGRATIONS[i](this.db);
+                this.db.pragma(`user_version = ${i + 1}`);
+            })();
+            console.log(`[DB] Applied migration ${i + 1}.`);
+        }
     }
 
     init() {
@@ -20,6 +153,7 @@ export class RelayDatabase {
             PRAGMA synchronous = NORMAL;
             PRAGMA cache_size = ${cachePages};
             PRAGMA temp_store = MEMORY;
+            PRAGMA foreign_keys = ON;
             
             CREATE TABLE IF NOT EXISTS events (
                 id TEXT PRIMARY KEY,
@@ -28,16 +162,30 @@ export class RelayDatabase {
                 kind INTEGER,
                 content TEXT,
                 sig TEXT,
-                magnet_uri TEXT
+                magnet_uri TEXT,
+                raw TEXT, -- Original event JSON, served verbatim
+                d_tag TEXT, -- 'd' tag of addressable (30000-39999) events
+                expires_at INTEGER -- NIP-40 expiration, if any
             );
             
+            -- Query index only: one row per distinct single-letter tag (name, first value)
             CREATE TABLE IF NOT EXISTS tags (
                 event_id TEXT,
                 name TEXT,
                 value TEXT,
+                created_at INTEGER, -- copied from the event for ordered tag scans
                 FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE
             );
 
+            -- NIP-09: deleted ids and 'a' coordinates (kind:pubkey:d) stay blocked
+            -- for their author; coordinates only up to the deletion's created_at
+            CREATE TABLE IF NOT EXISTS deletions (
+                target TEXT,
+                pubkey TEXT,
+                deleted_at INTEGER,
+                PRIMARY KEY (target, pubkey)
+            );
+
             -- NIP-50: Full Text Search Engine
             CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
                 id UNINDEXED,
@@ -55,66 +203,265 @@ export class RelayDatabase {
             CREATE INDEX IF NOT EXISTS idx_kind ON events(kind);
             CREATE INDEX IF NOT EXISTS idx_pubkey ON events(pubkey);
             CREATE INDEX IF NOT EXISTS idx_created_at ON events(created_at);
-            CREATE INDEX IF NOT EXISTS idx_tags_nv ON tags(name, value);
         `);
     }
 
+    /**
+     * Stores an event, applying NIP-01 replace semantics for replaceable
+     * (0, 3, 10000-19999) and addressable (30000-39999) kinds: only the newest
+     * version is kept, ties on created_at go to the lowest id.
+     *
+     * Ephemeral kinds are never written.
+     * Kind 5 deletions (NIP-09) tombstone their `e` and `a` targets and remove
+     * the author's matching events; the removed events are returned in
+     * `deleted` so their torrents can be unseeded.
+     *
+     * @param {object} event
+     * @param {string} [magnetUri]
+     * @returns {{ changes: number, reason?: string, deleted?: Array<object> }} - `reason` is set when the event is refused.
+     */
     saveEvent(event, magnetUri = null) {
-        const isReplaceable = (event.kind >= 10000 && event.kind < 20000) || [0, 3].includes(event.kind);
-        const isParameterized = (event.kind >= 30000 && event.kind < 40000);
+        const isReplaceable = RelayDatabase.isReplaceable(event.kind);
+        const isParameterized = RelayDatabase.isAddressable(event.kind);
+        const dTag = RelayDatabase.getDTag(event);
+
+        if (RelayDatabase.isEphemeral(event.kind)) return { changes: 0 };
 
         const transaction = this.db.transaction(() => {
-            if (isReplaceable) {
-                this.db.prepare('DELETE FROM events WHERE pubkey = ? AND kind = ? AND created_at < ?')
-                    .run(event.pubkey, event.kind, event.created_at);
-            } else if (isParameterized) {
-                const dTag = event.tags.find(t => t[0] === 'd')?.[1] || '';
-                this.db.prepare(`
-                    DELETE FROM events WHERE pubkey = ? AND kind = ? AND id IN (
-                        SELECT event_id FROM tags WHERE name = 'd' AND value = ?
-                    ) AND created_at < ?
-                `).run(event.pubkey, event.kind, dTag, event.created_at);
+            if (this.isDeleted(event)) {
+                return { changes: 0, reason: 'blocked: event was deleted by its author' };
             }
 
-            if (event.kind === 5) {
-                const targets = event.tags.filter(t => t[0] === 'e').map(t => t[1]);
-                if (targets.length > 0) {
-                    const placeholders = targets.map(() => '?').join(',');
-                    this.db.prepare(`DELETE FROM events WHERE pubkey = ? AND id IN (${placeholders})`)
-                        .run(event.pubkey, ...targets);
+            if (isReplaceable || isParameterized) {
+                const current = isParameterized
+                    ? this._prepare('SELECT id, created_at FROM events WHERE pubkey = ? AND kind = ? AND d_tag = ?').all(event.pubkey, event.kind, dTag)
+                    : this._prepare('SELECT id, created_at FROM events WHERE pubkey = ? AND kind = ?').all(event.pubkey, event.kind);
+
+                const newer = current.find(row => row.created_at > event.created_at
+                    || (row.created_at === event.created_at && row.id <= event.id));
+                if (newer) {
+                    return { changes: 0, reason: newer.id === event.id ? 'duplicate: already have this event' : 'invalid: a newer version of this replaceable event is stored' };
                 }
+
+                const deleteStmt = this._prepare('DELETE FROM events WHERE id = ?');
+                for (const row of current) deleteStmt.run(row.id);
             }
 
-            const stmt = this.db.prepare(`
-                INSERT OR IGNORE INTO events (id, pubkey, created_at, kind, content, sig, magnet_uri)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+            const deleted = event.kind === 5 ? this._applyDeletion(event) : [];
+
+            const stmt = this._prepare(`
+                INSERT OR IGNORE INTO events (id, pubkey, created_at, kind, content, sig, magnet_uri, raw, d_tag, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
-            const result = stmt.run(event.id, event.pubkey, event.created_at, event.kind, event.content, event.sig, magnetUri);
+            const result = stmt.run(
+                event.id, event.pubkey, event.created_at, event.kind, event.content, event.sig, magnetUri,
+                RelayDatabase.serialize(event), dTag, getExpiration(event)
+            );
 
             if (result.changes > 0) {
-                const tagStmt = this.db.prepare('INSERT INTO tags (event_id, name, value) VALUES (?, ?, ?)');
+                const tagStmt = this._prepare('INSERT INTO tags (event_id, name, value, created_at) VALUES (?, ?, ?, ?)');
+                const indexed = new Set();
                 for (const tag of event.tags) {
-                    if (tag[0].length === 1 || tag[0] === 'd') {
-                        tagStmt.run(event.id, tag[0], tag[1]);
-                    }
+                    if (tag[0]?.length !== 1 || tag[1] === undefined) continue;
+                    const key = JSON.stringify([tag[0], tag[1]]);
+                    if (indexed.has(key)) continue;
+                    indexed.add(key);
+                    tagStmt.run(event.id, tag[0], tag[1], event.created_at);
                 }
             }
-            return result;
+            return deleted.length > 0 ? { ...result, deleted } : result;
         });
 
         return transaction();
     }
 
-    queryEvents(filter) {
-        let sql = 'SELECT DISTINCT e.* FROM events e';
+    /**
+     * Records tombstones for a kind 5 event and removes what it targets.
+     * Only the deletion's own author is affected: other pubkeys' events with
+     * the same id or coordinate are left alone.
+     * @param {object} deletion
+     * @returns {Array<object>} - The removed events.
+     */
+    _applyDeletion(deletion) {
+        const tombstone = this._prepare(`
+            INSERT INTO deletions (target, pubkey, deleted_at) VALUES (?, ?, ?)
+            ON CONFLICT (target, pubkey) DO UPDATE SET deleted_at = MAX(deleted_at, excluded.deleted_at)
+        `);
+        const victims = new Map();
+
+        for (const [name, value] of deletion.tags) {
+            if (typeof value !== 'string') continue;
+
+            if (name === 'e') {
+                tombstone.run(value, deletion.pubkey, deletion.created_at);
+                const row = this._prepare('SELECT id, raw FROM events WHERE id = ? AND pubkey = ? AND kind != 5')
+                    .get(value, deletion.pubkey);
+                if (row) victims.set(row.id, row.raw);
+            } else if (name === 'a') {
+                const coordinate = RelayDatabase.parseCoordinate(value);
+                if (!coordinate || coordinate.pubkey !== deletion.pubkey) continue;
+                if (!RelayDatabase.isReplaceable(coordinate.kind) && !RelayDatabase.isAddressable(coordinate.kind)) continue;
+
+                tombstone.run(value, deletion.pubkey, deletion.created_at);
+                const rows = this._prepare(`
+                    SELECT id, raw FROM events
+                    WHERE pubkey = ? AND kind = ? AND IFNULL(d_tag, '') = ? AND created_at <= ?
+                `).all(coordinate.pubkey, coordinate.kind, coordinate.d, deletion.created_at);
+                for (const row of rows) victims.set(row.id, row.raw);
+            }
+        }
+
+        const remove = this._prepare('DELETE FROM events WHERE id = ?');
+        for (const id of victims.keys()) remove.run(id);
+        return Array.from(victims.values(), raw => JSON.parse(raw));
+    }
+
+    /**
+     * Whether an event is covered by one of its author's tombstones.
+     * @param {object} event
+     * @returns {boolean}
+     */
+    isDeleted(event) {
+        if (this._prepare('SELECT 1 FROM deletions WHERE target = ? AND pubkey = ?').get(event.id, event.pubkey)) {
+            return true;
+        }
+        const d = RelayDatabase.getDTag(event) ?? '';
+        const coordinate = `${event.kind}:${event.pubkey}:${d}`;
+        return !!this._prepare('SELECT 1 FROM deletions WHERE target = ? AND pubkey = ? AND deleted_at >= ?')
+            .get(coordinate, event.pubkey, event.created_at);
+    }
+
+    /**
+     * Parses an `a` tag value (`kind:pubkey:d`).
+     * @param {string} value
+     * @returns {{ kind: number, pubkey: string, d: string }|null}
+     */
+    static parseCoordinate(value) {
+        const match = /^(\d+):([0-9a-f]{64}):(.*)$/s.exec(value);
+        if (!match) return null;
+        return { kind: parseInt(match[1]), pubkey: match[2], d: match[3] };
+    }
+
+    /**
+     * Deletes every event whose NIP-40 expiration has passed.
+     * @param {number} [now] - Current Unix time.
+     * @returns {Array<object>} - The purged events.
+     */
+    purgeExpired(now = Math.floor(Date.now() / 1000)) {
+        return this.db.transaction(() => {
+            const rows = this._prepare('SELECT raw FROM events WHERE expires_at IS NOT NULL AND expires_at <= ?').all(now);
+            this._prepare('DELETE FROM events WHERE expires_at IS NOT NULL AND expires_at <= ?').run(now);
+            return rows.map(row => JSON.parse(row.raw));
+        })();
+    }
+
+    /**
+     * Records the magnet an event is seeded under.
+     * @param {string} id
+     * @param {string} magnetUri
+     * @returns {boolean} - False if the event is no longer stored.
+     */
+    setMagnet(id, magnetUri) {
+        return this._prepare('UPDATE events SET magnet_uri = ? WHERE id = ?').run(magnetUri, id).changes > 0;
+    }
+
+    /**
+     * @param {Array<string>} ids
+     * @returns {Map<string, string>} - id -> magnet URI, for the events that have one.
+     */
+    getMagnets(ids) {
+        if (ids.length === 0) return new Map();
+        const rows = this._prepare(`SELECT id, magnet_uri FROM events WHERE magnet_uri IS NOT NULL AND id IN (${ids.map(() => '?').join(',')})`)
+            .all(...ids);
+        return new Map(rows.map(row => [row.id, row.magnet_uri]));
+    }
+
+    hasEvent(id) {
+        return !!this._prepare('SELECT 1 FROM events WHERE id = ?').get(id);
+    }
+
+    /**
+     * @param {object} filter - NIP-01 filter.
+     * @param {number} [now] - Current Unix time; expired events are never returned.
+     * @returns {Array<object>}
+     */
+    queryEvents(filter, now = Math.floor(Date.now() / 1000)) {
+        const { from, where, orderBy, params } = this._compileFilter(filter, now);
+
+        const hasLimit = Number.isInteger(filter.limit);
+        // NIP-01: newest first, lowest id first among events with the same created_at
+        const query = `SELECT e.raw FROM ${from} WHERE ${where} ORDER BY ${orderBy} DESC, e.id ASC ${hasLimit ? 'LIMIT ?' : ''}`;
+        if (hasLimit) params.push(filter.limit);
+
+        // Raw JSON comes back in the same row, so one statement serves the whole result
+        const rows = this._prepare(query).pluck().all(...params);
+        return rows.map(raw => JSON.parse(raw));
+    }
+
+    /**
+     * Runs every filter of a REQ and merges the results: each event appears
+     * once, newest first. Limits apply per filter.
+     * @param {Array<object>} filters
+     * @param {number} [now]
+     * @returns {Array<object>}
+     */
+    queryFilters(filters, now = Math.floor(Date.now() / 1000)) {
+        const merged = new Map();
+        for (const filter of filters) {
+            for (const event of this.queryEvents(filter, now)) merged.set(event.id, event);
+        }
+        return Array.from(merged.values()).sort((a, b) => b.created_at - a.created_at || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * NIP-45: number of distinct events matching any of the filters.
+     * `limit` is ignored.
+     * @param {Array<object>} filters
+     * @param {number} [now]
+     * @returns {number}
+     */
+    countEvents(filters, now = Math.floor(Date.now() / 1000)) {
+        if (filters.length === 0) return 0;
+
         const params = [];
-        const joins = [];
-        const where = ['1=1'];
+        const selects = filters.map(filter => {
+            const compiled = this._compileFilter(filter, now);
+            params.push(...compiled.params);
+            return `SELECT e.id FROM ${compiled.from} WHERE ${compiled.where}`;
+        });
+        return this._prepare(`SELECT COUNT(*) AS count FROM (${selects.join(' UNION ')})`).get(...params).count;
+    }
+
+    /**
+     * Translates a filter (minus `limit`) into SQL over `events e`.
+     *
+     * Without ids or authors to narrow it, a filter with a single-valued tag
+     * condition is driven from that tag's index, which is ordered by
+     * created_at, so `LIMIT` stops early instead of sorting every match.
+     * Other search and tag conditions are `IN` subqueries; since tag rows are
+     * distinct per event, a row can only match once and no DISTINCT is needed.
+     * @param {object} filter
+     * @param {number} now
+     * @returns {{ from: string, where: string, orderBy: string, params: Array }}
+     */
+    _compileFilter(filter, now) {
+        const params = [now];
+        const where = ['(e.expires_at IS NULL OR e.expires_at > ?)'];
+        const tagKeys = Object.keys(filter).filter(key => key.startsWith('#') && Array.isArray(filter[key]));
+        const driver = filter.ids || filter.authors ? undefined : tagKeys.find(key => filter[key].length === 1);
+        let from = 'events e';
+        let orderBy = 'e.created_at';
+
+        if (driver) {
+            from = 'tags d JOIN events e ON e.id = d.event_id';
+            orderBy = 'd.created_at';
+            where.push('d.name = ? AND d.value = ?');
+            params.push(driver.substring(1), filter[driver][0]);
+        }
 
         // NIP-50: Search Support
         if (filter.search) {
-            joins.push('JOIN events_fts fts ON e.id = fts.id');
-            where.push('events_fts MATCH ?');
+            where.push('e.id IN (SELECT id FROM events_fts WHERE events_fts MATCH ?)');
             params.push(filter.search);
         }
 
@@ -131,16 +478,12 @@ export class RelayDatabase {
             params.push(...filter.kinds);
         }
         
-        Object.keys(filter).forEach(key => {
-            if (key.startsWith('#') && Array.isArray(filter[key])) {
-                const tagName = key.substring(1);
-                const values = filter[key];
-                const alias = `t${joins.length}`;
-                joins.push(`JOIN tags ${alias} ON e.id = ${alias}.event_id`);
-                where.push(`${alias}.name = ? AND ${alias}.value IN (${values.map(() => '?').join(',')})`);
-                params.push(tagName, ...values);
-            }
-        });
+        for (const key of tagKeys) {
+            if (key === driver) continue;
+            const values = filter[key];
+            where.push(`e.id IN (SELECT event_id FROM tags WHERE name = ? AND value IN (${values.map(() => '?').join(',')}))`);
+            params.push(key.substring(1), ...values);
+        }
 
         if (filter.since) {
             where.push('e.created_at >= ?');
@@ -151,16 +494,6 @@ export class RelayDatabase {
             params.push(filter.until);
         }
 
-        const query = `${sql} ${joins.join(' ')} WHERE ${where.join(' AND ')} ORDER BY e.created_at DESC ${filter.limit ? 'LIMIT ?' : ''}`;
-        if (filter.limit) params.push(filter.limit);
-
-        const rows = this.db.prepare(query).all(...params);
-        return rows.map(row => {
-            const tags = this.db.prepare('SELECT name, value FROM tags WHERE event_id = ?').all(row.id);
-            return {
-                ...row,
-                tags: tags.map(t => [t.name, t.value])
-            };
-        });
+        return { from, where: where.join(' AND '), orderBy, params };
     }
 }
@@ -0,0 +1,72 @@
+import { verifyEvent, getEventHash } from 'nostr-tools';
+import { isExpired } from 'nostr-over-bt/utils/TagUtils';
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+const HEX_128 = /^[0-9a-f]{128}$/;
+
+/**
+ * NIP-01 validation for events arriving on the EVENT path.
+ * Every failure reason is prefixed with `invalid:` so it can be sent
+ * verbatim in an `OK false` message.
+ */
+export class EventValidator {
+    /**
+     * @param {object} [options={}]
+     * @param {number} [options.maxFutureSec=900] - Reject events created further in the future.
+     * @param {number} [options.maxAgeSec=0] - Reject events older than this (0 = no limit).
+     */
+    constructor(options = {}) {
+        this.maxFutureSec = options.maxFutureSec ?? 900;
+        this.maxAgeSec = options.maxAgeSec ?? 0;
+    }
+
+    /**
+     * Validates schema, id hash, signature, created_at bounds and expiration.
+     * @param {object} event
+     * @param {number} [now] - Current Unix time (overridable for tests).
+     * @returns {{ valid: boolean, reason: string }}
+     */
+    validate(event, now = Math.floor(Date.now() / 1000)) {
+        const schemaError = this.checkSchema(event);
+        if (schemaError) return { valid: false, reason: `invalid: ${schemaError}` };
+
+        if (getEventHash(event) !== event.id) {
+            return { valid: false, reason: 'invalid: event id does not match the serialized event' };
+        }
+        if (!verifyEvent(event)) {
+            return { valid: false, reason: 'invalid: bad signature' };
+        }
+
+        if (event.created_at > now + this.maxFutureSec) {
+            return { valid: false, reason: 'invalid: created_at is too far in the future' };
+        }
+        if (this.maxAgeSec > 0 && event.created_at < now - this.maxAgeSec) {
+            return { valid: false, reason: 'invalid: created_at is too old' };
+        }
+
+        // NIP-40
+        if (isExpired(event, now)) {
+            return { valid: false, reason: 'invalid: event has expired' };
+        }
+
+        return { valid: true, reason: '' };
+    }
+
+    /**
+     * @param {object} event
+     * @returns {string|null} - Description of the first schema problem, or null.
+     */
+    checkSchema(event) {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) return 'event must be an object';
+        if (typeof event.id !== 'string' || !HEX_64.test(event.id)) return 'id must be 64 lowercase hex characters';
+        if (typeof event.pubkey !== 'string' || !HEX_64.test(event.pubkey)) return 'pubkey must be 64 lowercase hex characters';
+        if (typeof event.sig !== 'string' || !HEX_128.test(event.sig)) return 'sig must be 128 lowercase hex characters';
+        if (!Number.isInteger(event.created_at) || event.created_at < 0) return 'created_at must be a non-negative integer';
+        if (!Number.isInteger(event.kind) || event.kind < 0 || event.kind > 65535) return 'kind must be an integer between 0 and 65535';
+        if (typeof event.content !== 'string') return 'content must be a string';
+        if (!Array.isArray(event.tags) || !event.tags.every(t => Array.isArray(t) && t.every(v => typeof v === 'string'))) {
+            return 'tags must be an array of string arrays';
+        }
+        return null;
+    }
+}
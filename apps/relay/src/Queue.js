@@ -13,11 +13,15 @@ const connection = new IORedis(REDIS_URL, { maxRetriesPerRequest: null });
 export class SeedingQueue {
     /**
      * @param {TransportManager} transportManager 
+     * @param {object} [options={}]
+     * @param {function(object, string): void} [options.onSeeded] - Receives each seeded event and its magnet URI.
      */
-    constructor(transportManager) {
+    constructor(transportManager, options = {}) {
         console.log(`[Queue] Initializing with concurrency: ${SEEDING_CONCURRENCY} (System CPUs: ${CPU_COUNT})`);
         this.manager = transportManager;
+        this.onSeeded = options.onSeeded || null;
         this.queueName = 'nostr-bt-seeding';
+        this.cancelled = new Set(); // ids deleted while their job was active
 
         // 1. Initialize the Queue
         this.queue = new Queue(this.queueName, { connection });
@@ -28,9 +32,15 @@ export class SeedingQueue {
             console.log(`[Worker] Seeding event ${event.id.substring(0, 8)}...`);
             
             // Perform the expensive P2P operations
-            await this.manager.reseedEvent(event, false);
+            const magnetUri = await this.manager.reseedEvent(event, false);
+            if (!magnetUri) return { status: 'expired', id: event.id };
+            if (this.cancelled.delete(event.id)) {
+                await this.manager.unseedEvent(event);
+                return { status: 'cancelled', id: event.id };
+            }
+            if (this.onSeeded) this.onSeeded(event, magnetUri);
             
-            return { status: 'seeded', id: event.id };
+            return { status: 'seeded', id: event.id, magnetUri };
         }, { 
             connection,
             concurrency: SEEDING_CONCURRENCY
@@ -51,6 +61,7 @@ export class SeedingQueue {
      */
     async enqueue(event) {
         await this.queue.add(`seed-${event.id}`, event, {
+            jobId: `seed-${event.id}`,
             attempts: 3,
             backoff: {
                 type: 'exponential',
@@ -61,6 +72,21 @@ export class SeedingQueue {
         });
     }
 
+    /**
+     * Drops a deleted event's pending job and stops seeding its torrent.
+     * @param {object} event 
+     */
+    async cancel(event) {
+        const job = await this.queue.getJob(`seed-${event.id}`);
+        if (job && await job.isActive()) {
+            // Locked by the worker; it unseeds once the job finishes
+            this.cancelled.add(event.id);
+            return;
+        }
+        if (job) await job.remove();
+        await this.manager.unseedEvent(event);
+    }
+
     async close() {
         await this.queue.close();
         await this.worker.close();
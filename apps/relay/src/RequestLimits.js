@@ -0,0 +1,65 @@
+/**
+ * Server-side caps for REQ and COUNT. Violations are reported with an
+ * `error:` reason suitable for a `CLOSED` message.
+ */
+export class RequestLimits {
+    /**
+     * @param {object} [options={}]
+     * @param {number} [options.maxFilters=10] - Filters per REQ/COUNT.
+     * @param {number} [options.maxLimit=500] - Upper bound for a filter's `limit`.
+     * @param {number} [options.defaultLimit=100] - `limit` for filters that omit one.
+     * @param {number} [options.maxSubscriptions=20] - Open subscriptions per connection.
+     */
+    constructor(options = {}) {
+        this.maxFilters = options.maxFilters ?? 10;
+        this.maxLimit = options.maxLimit ?? 500;
+        this.defaultLimit = Math.min(options.defaultLimit ?? 100, this.maxLimit);
+        this.maxSubscriptions = options.maxSubscriptions ?? 20;
+    }
+
+    /**
+     * Checks a REQ or COUNT before it is run.
+     * @param {string} subId
+     * @param {Array<object>} filters
+     * @param {object} [open] - For REQ: `{ count, has }`, the connection's open subscriptions.
+     * @returns {string|null} - The reason to close with, or null if allowed.
+     */
+    check(subId, filters, open = null) {
+        if (typeof subId !== 'string' || subId.length === 0 || subId.length > 64) {
+            return 'error: subscription id must be 1-64 characters';
+        }
+        if (!filters.every(f => f && typeof f === 'object' && !Array.isArray(f))) {
+            return 'error: filters must be objects';
+        }
+        if (filters.length > this.maxFilters) {
+            return `error: too many filters (max ${this.maxFilters})`;
+        }
+        // Re-using an open id replaces that subscription instead of adding one
+        if (open && !open.has && open.count >= this.maxSubscriptions) {
+            return `error: too many subscriptions (max ${this.maxSubscriptions})`;
+        }
+        return null;
+    }
+
+    /**
+     * Clamps a filter's `limit` to the configured bounds for the stored query.
+     * @param {object} filter
+     * @returns {object} - A copy with `limit` set.
+     */
+    applyLimit(filter) {
+        const requested = Number.isInteger(filter.limit) && filter.limit >= 0 ? filter.limit : this.defaultLimit;
+        return { ...filter, limit: Math.min(requested, this.maxLimit) };
+    }
+
+    /**
+     * @returns {object} - Fields for the NIP-11 `limitation` object.
+     */
+    toNip11() {
+        return {
+            max_filters: this.maxFilters,
+            max_limit: this.maxLimit,
+            default_limit: this.defaultLimit,
+            max_subscriptions: this.maxSubscriptions
+        };
+    }
+}
@@ -4,11 +4,16 @@
 export class SeedingQueue {
     /**
      * @param {TransportManager} transportManager 
+     * @param {object} [options={}]
+     * @param {function(object, string): void} [options.onSeeded] - Receives each seeded event and its magnet URI.
      */
-    constructor(transportManager) {
+    constructor(transportManager, options = {}) {
         this.manager = transportManager;
+        this.onSeeded = options.onSeeded || null;
         this.queue = [];
         this.isProcessing = false;
+        this.current = null; // id of the event being seeded
+        this.cancelled = new Set();
     }
 
     /**
@@ -21,20 +26,45 @@ export class SeedingQueue {
         this.process();
     }
 
+    /**
+     * Drops a deleted event from the queue and stops seeding its torrent,
+     * including when the seed is in flight.
+     * @param {object} event 
+     */
+    async cancel(event) {
+        this.queue = this.queue.filter(queued => queued.id !== event.id);
+        if (this.current === event.id) {
+            this.cancelled.add(event.id);
+            return;
+        }
+        await this.manager.unseedEvent(event);
+    }
+
     async process() {
         if (this.isProcessing || this.queue.length === 0) return;
         this.isProcessing = true;
 
         const event = this.queue.shift();
+        this.current = event.id;
         try {
             // Use reseedEvent with background=false here because the QUEUE 
             // is already the background mechanism.
-            await this.manager.reseedEvent(event, false);
-            console.log(`[Queue] Successfully seeded event ${event.id.substring(0, 8)}`);
+            const magnetUri = await this.manager.reseedEvent(event, false);
+            if (magnetUri) {
+                console.log(`[Queue] Successfully seeded event ${event.id.substring(0, 8)}`);
+                if (this.onSeeded && !this.cancelled.has(event.id)) this.onSeeded(event, magnetUri);
+            } else {
+                console.log(`[Queue] Skipped expired event ${event.id.substring(0, 8)}`);
+            }
         } catch (err) {
             console.error(`[Queue] Failed to seed ${event.id}:`, err.message);
         }
 
+        this.current = null;
+        if (this.cancelled.delete(event.id)) {
+            await this.manager.unseedEvent(event).catch(err => console.error(`[Queue] Failed to unseed ${event.id}:`, err.message));
+        }
+
         this.isProcessing = false;
         // Move to next immediately
         setImmediate(() => this.process());
@@ -0,0 +1,161 @@
+import os from 'os';
+
+/**
+ * Durable background seeding queue stored in the relay's SQLite database.
+ *
+ * Jobs survive restarts (jobs left `active` by a crash are resumed), run
+ * with bounded concurrency, and are retried with exponential backoff. Jobs
+ * that exhaust their attempts are kept as `dead` letters for inspection.
+ */
+export class SqliteSeedingQueue {
+    /**
+     * @param {TransportManager} transportManager
+     * @param {import('better-sqlite3').Database} db - The relay's database handle.
+     * @param {object} [options={}]
+     * @param {number} [options.concurrency] - Parallel seeds (default: CPU count).
+     * @param {number} [options.maxAttempts=5] - Attempts before a job becomes a dead letter.
+     * @param {number} [options.retryDelayMs=5000] - First retry delay; doubles per attempt.
+     * @param {function(object, string): void} [options.onSeeded] - Receives each seeded event and its magnet URI.
+     */
+    constructor(transportManager, db, options = {}) {
+        this.manager = transportManager;
+        this.db = db;
+        this.concurrency = options.concurrency || os.cpus().length;
+        this.maxAttempts = options.maxAttempts ?? 5;
+        this.retryDelayMs = options.retryDelayMs ?? 5000;
+        this.onSeeded = options.onSeeded || null;
+
+        this.running = new Map(); // event id -> job promise
+        this.cancelled = new Set(); // ids deleted while their job was running
+        this.timer = null;
+        this.closed = false;
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS seeding_jobs (
+                event_id TEXT PRIMARY KEY,
+                event TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending', -- pending | active | dead
+                attempts INTEGER NOT NULL DEFAULT 0,
+                run_at INTEGER NOT NULL, -- ms; earliest time the job may run
+                last_error TEXT,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_seeding_jobs_due ON seeding_jobs(status, run_at);
+        `);
+
+        this.stmts = {
+            insert: db.prepare(`INSERT INTO seeding_jobs (event_id, event, run_at, created_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (event_id) DO UPDATE SET status = 'pending', attempts = 0, run_at = excluded.run_at, last_error = NULL
+                WHERE status = 'dead'`),
+            next: db.prepare(`SELECT event_id, event, attempts FROM seeding_jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at LIMIT 1`),
+            nextRunAt: db.prepare(`SELECT MIN(run_at) FROM seeding_jobs WHERE status = 'pending'`).pluck(),
+            claim: db.prepare(`UPDATE seeding_jobs SET status = 'active', attempts = attempts + 1 WHERE event_id = ?`),
+            retry: db.prepare(`UPDATE seeding_jobs SET status = 'pending', run_at = ?, last_error = ? WHERE event_id = ?`),
+            bury: db.prepare(`UPDATE seeding_jobs SET status = 'dead', last_error = ? WHERE event_id = ?`),
+            remove: db.prepare('DELETE FROM seeding_jobs WHERE event_id = ?'),
+            resume: db.prepare(`UPDATE seeding_jobs SET status = 'pending' WHERE status = 'active'`),
+            dead: db.prepare(`SELECT event_id, attempts, last_error FROM seeding_jobs WHERE status = 'dead' ORDER BY created_at`)
+        };
+
+        const resumed = this.stmts.resume.run().changes;
+        if (resumed > 0) console.log(`[Queue] Resuming ${resumed} interrupted seeding jobs.`);
+        console.log(`[Queue] SQLite seeding queue with concurrency: ${this.concurrency}`);
+        this._pump();
+    }
+
+    /**
+     * Persists an event for background seeding. Already queued events are
+     * ignored; dead letters are given a fresh set of attempts.
+     * @param {object} event
+     */
+    enqueue(event) {
+        const now = Date.now();
+        this.stmts.insert.run(event.id, JSON.stringify(event), now, now);
+        this._pump();
+    }
+
+    /**
+     * Drops a deleted event's job and stops seeding its torrent,
+     * including when the seed is in flight.
+     * @param {object} event
+     */
+    async cancel(event) {
+        this.stmts.remove.run(event.id);
+        if (this.running.has(event.id)) {
+            this.cancelled.add(event.id);
+            return;
+        }
+        await this.manager.unseedEvent(event);
+    }
+
+    /**
+     * @returns {Array<{ event_id: string, attempts: number, last_error: string }>} - Jobs that exhausted their attempts.
+     */
+    deadLetters() {
+        return this.stmts.dead.all();
+    }
+
+    /**
+     * Stops claiming jobs and waits for running ones to finish.
+     */
+    async close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        await Promise.allSettled(this.running.values());
+    }
+
+    /**
+     * Starts due jobs up to the concurrency limit, then sleeps until the next retry is due.
+     */
+    _pump() {
+        if (this.closed) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.running.size < this.concurrency) {
+            const job = this.stmts.next.get(Date.now());
+            if (!job) break;
+            this.stmts.claim.run(job.event_id);
+            const run = this._run(JSON.parse(job.event), job.attempts + 1)
+                .finally(() => {
+                    this.running.delete(job.event_id);
+                    this._pump();
+                });
+            this.running.set(job.event_id, run);
+        }
+
+        const nextRunAt = this.stmts.nextRunAt.get();
+        if (nextRunAt !== null && this.running.size < this.concurrency) {
+            this.timer = setTimeout(() => this._pump(), Math.max(0, nextRunAt - Date.now()));
+            this.timer.unref();
+        }
+    }
+
+    async _run(event, attempt) {
+        try {
+            // background=false: the queue already is the background mechanism
+            const magnetUri = await this.manager.reseedEvent(event, false);
+            this.stmts.remove.run(event.id);
+
+            if (this.cancelled.delete(event.id)) {
+                await this.manager.unseedEvent(event);
+            } else if (magnetUri) {
+                console.log(`[Queue] Successfully seeded event ${event.id.substring(0, 8)}`);
+                if (this.onSeeded) this.onSeeded(event, magnetUri);
+            } else {
+                console.log(`[Queue] Skipped expired event ${event.id.substring(0, 8)}`);
+            }
+        } catch (err) {
+            if (this.cancelled.delete(event.id)) return;
+
+            if (attempt >= this.maxAttempts) {
+                this.stmts.bury.run(err.message, event.id);
+                console.error(`[Queue] Giving up on ${event.id} after ${attempt} attempts:`, err.message);
+            } else {
+                const delay = this.retryDelayMs * 2 ** (attempt - 1);
+                this.stmts.retry.run(Date.now() + delay, err.message, event.id);
+                console.error(`[Queue] Failed to seed ${event.id} (attempt ${attempt}), retrying in ${delay}ms:`, err.message);
+            }
+        }
+    }
+}
@@ -0,0 +1,156 @@
+import { matchFilter } from 'nostr-tools';
+
+const WILDCARD = '*';
+
+/**
+ * Index of open REQ subscriptions for live fan-out.
+ *
+ * Each filter is filed under the keys of its most selective field (ids,
+ * then authors, then one tag filter, then kinds; otherwise the wildcard
+ * bucket). An incoming event only looks up the buckets for its own id,
+ * pubkey, kind and tags, so matching cost depends on the subscriptions that
+ * could match rather than on the total number open. Candidates are then
+ * checked against the full filter.
+ */
+export class SubscriptionIndex {
+    constructor() {
+        this.buckets = new Map(); // bucket key -> Set<entry>
+        this.subscriptions = new Map(); // connection -> Map<subId, Array<{ entry, keys }>>
+    }
+
+    /**
+     * Registers (or replaces) a subscription.
+     * @param {object} conn - The connection (WebSocket) that owns it.
+     * @param {string} subId
+     * @param {Array<object>} filters
+     */
+    add(conn, subId, filters) {
+        this.remove(conn, subId);
+
+        const filed = filters.map(filter => {
+            const entry = { conn, subId, filter };
+            const keys = SubscriptionIndex.bucketKeys(filter);
+            for (const key of keys) {
+                if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+                this.buckets.get(key).add(entry);
+            }
+            return { entry, keys };
+        });
+
+        if (!this.subscriptions.has(conn)) this.subscriptions.set(conn, new Map());
+        this.subscriptions.get(conn).set(subId, filed);
+    }
+
+    /**
+     * Removes one subscription.
+     * @param {object} conn
+     * @param {string} subId
+     * @returns {boolean} - Whether the subscription existed.
+     */
+    remove(conn, subId) {
+        const subs = this.subscriptions.get(conn);
+        const filed = subs?.get(subId);
+        if (!filed) return false;
+
+        for (const { entry, keys } of filed) {
+            for (const key of keys) {
+                const bucket = this.buckets.get(key);
+                bucket.delete(entry);
+                if (bucket.size === 0) this.buckets.delete(key);
+            }
+        }
+        subs.delete(subId);
+        if (subs.size === 0) this.subscriptions.delete(conn);
+        return true;
+    }
+
+    /**
+     * Removes every subscription of a connection (on socket close).
+     * @param {object} conn
+     */
+    removeConnection(conn) {
+        const subs = this.subscriptions.get(conn);
+        if (!subs) return;
+        for (const subId of Array.from(subs.keys())) this.remove(conn, subId);
+    }
+
+    /**
+     * Number of open subscriptions for a connection.
+     * @param {object} conn
+     * @returns {number}
+     */
+    count(conn) {
+        return this.subscriptions.get(conn)?.size || 0;
+    }
+
+    /**
+     * @param {object} conn
+     * @param {string} subId
+     * @returns {boolean} - Whether the connection has this subscription open.
+     */
+    has(conn, subId) {
+        return !!this.subscriptions.get(conn)?.has(subId);
+    }
+
+    /**
+     * Finds every subscription an event should be delivered to.
+     * @param {object} event
+     * @returns {Array<{ conn: object, subId: string }>} - One entry per matching subscription.
+     */
+    match(event) {
+        const keys = [WILDCARD, `id:${event.id}`, `author:${event.pubkey}`, `kind:${event.kind}`];
+        for (const tag of event.tags || []) {
+            if (tag.length >= 2) keys.push(`#${tag[0]}:${tag[1]}`);
+        }
+
+        const matched = new Map(); // conn -> Set<subId>
+        const results = [];
+        for (const key of keys) {
+            const bucket = this.buckets.get(key);
+            if (!bucket) continue;
+
+            for (const entry of bucket) {
+                if (matched.get(entry.conn)?.has(entry.subId)) continue;
+                if (!SubscriptionIndex.matches(entry.filter, event)) continue;
+
+                if (!matched.has(entry.conn)) matched.set(entry.conn, new Set());
+                matched.get(entry.conn).add(entry.subId);
+                results.push({ conn: entry.conn, subId: entry.subId });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Full NIP-01 filter check, plus NIP-50 `search` as a case-insensitive
+     * match of every search term against the content.
+     * @param {object} filter
+     * @param {object} event
+     * @returns {boolean}
+     */
+    static matches(filter, event) {
+        if (!matchFilter(filter, event)) return false;
+        if (typeof filter.search === 'string') {
+            const content = (event.content || '').toLowerCase();
+            const terms = filter.search.toLowerCase().split(/\s+/).filter(t => t && !t.includes(':'));
+            return terms.every(term => content.includes(term));
+        }
+        return true;
+    }
+
+    /**
+     * Picks the bucket keys for a filter from its most selective field.
+     * @param {object} filter
+     * @returns {Array<string>}
+     */
+    static bucketKeys(filter) {
+        if (Array.isArray(filter.ids)) return filter.ids.map(id => `id:${id}`);
+        if (Array.isArray(filter.authors)) return filter.authors.map(pk => `author:${pk}`);
+
+        const tagKey = Object.keys(filter).find(k => k.startsWith('#') && Array.isArray(filter[k]));
+        if (tagKey) return filter[tagKey].map(value => `${tagKey}:${value}`);
+
+        if (Array.isArray(filter.kinds)) return filter.kinds.map(kind => `kind:${kind}`);
+        return [WILDCARD];
+    }
+}
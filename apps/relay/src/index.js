@@ -13,14 +13,32 @@ import {
 } from 'nostr-over-bt';
 
 import { RelayDatabase } from './Database.js';
-import { SeedingQueue } from './Queue.js';
+import { EventValidator } from './EventValidator.js';
+import { SubscriptionIndex } from './SubscriptionIndex.js';
+import { RequestLimits } from './RequestLimits.js';
+import { SqliteSeedingQueue } from './SqliteSeedingQueue.js';
+import { SeedingQueue as MemorySeedingQueue } from './SeedingQueue.js';
 
 const PORT = process.env.PORT || 8080;
 const DB_PATH = process.env.DB_PATH || './relay.db';
 const ENABLE_BT = process.env.ENABLE_BT !== 'false';
 const TRACKER_PORT = process.env.TRACKER_PORT || 8081;
+const FEED_BATCH_WINDOW_MS = parseInt(process.env.FEED_BATCH_WINDOW_MS || '2000');
+const EXPIRATION_SWEEP_MS = parseInt(process.env.EXPIRATION_SWEEP_MS || '60000');
+const SEEDING_BACKEND = process.env.SEEDING_BACKEND || 'sqlite';
 
 const db = new RelayDatabase(DB_PATH);
+const subscriptions = new SubscriptionIndex();
+const validator = new EventValidator({
+    maxFutureSec: parseInt(process.env.MAX_EVENT_FUTURE_SEC || '900'),
+    maxAgeSec: parseInt(process.env.MAX_EVENT_AGE_SEC || '0')
+});
+const limits = new RequestLimits({
+    maxFilters: parseInt(process.env.MAX_FILTERS || '10'),
+    maxLimit: parseInt(process.env.MAX_LIMIT || '500'),
+    defaultLimit: parseInt(process.env.DEFAULT_LIMIT || '100'),
+    maxSubscriptions: parseInt(process.env.MAX_SUBSCRIPTIONS || '20')
+});
 
 // --- Whitelist Setup ---
 const ALLOWED_PUBKEYS = new Set();
@@ -47,10 +65,11 @@ const relayInfo = {
     description: process.env.RELAY_DESCRIPTION || "A decentralized relay backed by BitTorrent",
     pubkey: process.env.RELAY_PUBKEY || "",
     contact: process.env.RELAY_CONTACT || "",
-    supported_nips: [1, 2, 4, 9, 11, 12, 15, 16, 20, 33, 50, 65],
+    supported_nips: [1, 2, 4, 9, 11, 12, 15, 16, 20, 33, 40, 45, 50, 65],
     software: "https://github.com/imattau/nostr-over-bt",
     version: "1.0.0",
     limitation: {
+        ...limits.toNip11(),
         search_config: { is_enabled: true, min_prefix: 3 },
         payment_required: ALLOWED_PUBKEYS.size > 0 // Signal restriction
     }
@@ -63,6 +82,15 @@ const server = http.createServer((req, res) => {
         res.end(JSON.stringify(relayInfo));
         return;
     }
+
+    // Magnet an event is seeded under, so clients can fetch it from the swarm
+    const magnetRoute = req.method === 'GET' && /^\/events\/([0-9a-f]{64})\/magnet$/.exec(req.url.split('?')[0]);
+    if (magnetRoute) {
+        const magnet = db.getMagnets([magnetRoute[1]]).get(magnetRoute[1]);
+        res.writeHead(magnet ? 200 : 404, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        res.end(JSON.stringify(magnet ? { id: magnetRoute[1], magnet } : { error: 'no magnet for this event' }));
+        return;
+    }
     res.writeHead(404).end();
 });
 
@@ -76,13 +104,40 @@ if (ENABLE_BT) {
     const bt = new BitTorrentTransport({ announce: [`ws://localhost:${TRACKER_PORT}`] });
     const id = new IdentityManager(); id.generate();
     hybrid = new HybridTransport(new NostrTransport([]), bt);
-    transportManager = new TransportManager(hybrid, { feedManager: new FeedManager(bt, id) });
+    transportManager = new TransportManager(hybrid, { feedManager: new FeedManager(bt, id, { batchWindowMs: FEED_BATCH_WINDOW_MS }) });
+}
+const queue = ENABLE_BT ? await createSeedingQueue() : null;
+
+/**
+ * Builds the seeding queue selected by SEEDING_BACKEND:
+ * `sqlite` (durable, default), `redis` (BullMQ) or `memory` (lost on restart).
+ */
+async function createSeedingQueue() {
+    const options = { onSeeded: (event, magnetUri) => db.setMagnet(event.id, magnetUri) };
+    switch (SEEDING_BACKEND) {
+        case 'sqlite':
+            return new SqliteSeedingQueue(transportManager, db.db, {
+                ...options,
+                concurrency: parseInt(process.env.SEEDING_CONCURRENCY || '0') || undefined,
+                maxAttempts: parseInt(process.env.SEEDING_MAX_ATTEMPTS || '5'),
+                retryDelayMs: parseInt(process.env.SEEDING_RETRY_DELAY_MS || '5000')
+            });
+        case 'redis': {
+            // Imported on demand: the module connects to Redis as soon as it loads
+            const { SeedingQueue } = await import('./Queue.js');
+            return new SeedingQueue(transportManager, options);
+        }
+        case 'memory':
+            return new MemorySeedingQueue(transportManager, options);
+        default:
+            throw new Error(`Unknown SEEDING_BACKEND "${SEEDING_BACKEND}" (expected sqlite, redis or memory)`);
+    }
 }
-const queue = ENABLE_BT ? new SeedingQueue(transportManager) : null;
 
 // --- Connection Handling ---
-wss.on('connection', (ws) => {
-    const subscriptions = new Map();
+wss.on('connection', (ws, req) => {
+    // Opt-in (`?magnets=true`): stored events are sent as ['EVENT', subId, event, { magnet }] when seeded
+    const includeMagnets = new URL(req.url, 'http://localhost').searchParams.get('magnets') === 'true';
 
     ws.on('message', async (data) => {
         try {
@@ -91,6 +146,14 @@ wss.on('connection', (ws) => {
             switch (type) {
                 case 'EVENT': {
                     const event = payload[0];
+                    const eventId = typeof event?.id === 'string' ? event.id : '';
+
+                    // NIP-01: id, signature and bounds must check out before anything else
+                    const { valid, reason } = validator.validate(event);
+                    if (!valid) {
+                        ws.send(JSON.stringify(['OK', eventId, false, reason]));
+                        return;
+                    }
 
                     // Private Mode Restriction
                     if (ALLOWED_PUBKEYS.size > 0 && !ALLOWED_PUBKEYS.has(event.pubkey)) {
@@ -98,27 +161,69 @@ wss.on('connection', (ws) => {
                         return;
                     }
 
+                    // NIP-16: ephemeral events are relayed live and never stored or seeded
+                    if (RelayDatabase.isEphemeral(event.kind)) {
+                        ws.send(JSON.stringify(['OK', event.id, true, '']));
+                        broadcast(event);
+                        return;
+                    }
+
+                    if (db.hasEvent(event.id)) {
+                        ws.send(JSON.stringify(['OK', event.id, true, 'duplicate: already have this event']));
+                        return;
+                    }
+
                     const result = db.saveEvent(event);
+                    if (result.reason) {
+                        ws.send(JSON.stringify(['OK', event.id, false, result.reason]));
+                        return;
+                    }
                     ws.send(JSON.stringify(['OK', event.id, true, '']));
                     if (result.changes > 0) {
                         if (queue) queue.enqueue(event);
                         broadcast(event);
                     }
+                    // NIP-09: stop seeding what the author just deleted
+                    if (queue && result.deleted) {
+                        for (const deleted of result.deleted) {
+                            queue.cancel(deleted).catch(err => console.error(`[Relay] Failed to unseed ${deleted.id}:`, err.message));
+                        }
+                    }
                     break;
                 }
                 case 'REQ': {
                     const subId = payload[0];
                     const filters = payload.slice(1);
-                    subscriptions.set(subId, filters);
-                    filters.forEach(f => {
-                        const results = db.queryEvents(f);
-                        results.forEach(e => ws.send(JSON.stringify(['EVENT', subId, e])));
+                    const refused = limits.check(subId, filters, { count: subscriptions.count(ws), has: subscriptions.has(ws, subId) });
+                    if (refused) {
+                        ws.send(JSON.stringify(['CLOSED', subId, refused]));
+                        return;
+                    }
+
+                    subscriptions.add(ws, subId, filters);
+                    const results = db.queryFilters(filters.map(f => limits.applyLimit(f)));
+                    const magnets = includeMagnets ? db.getMagnets(results.map(e => e.id)) : new Map();
+                    results.forEach(e => {
+                        const magnet = magnets.get(e.id);
+                        ws.send(JSON.stringify(magnet ? ['EVENT', subId, e, { magnet }] : ['EVENT', subId, e]));
                     });
                     ws.send(JSON.stringify(['EOSE', subId]));
                     break;
                 }
+                case 'COUNT': {
+                    // NIP-45
+                    const subId = payload[0];
+                    const filters = payload.slice(1);
+                    const refused = limits.check(subId, filters);
+                    if (refused) {
+                        ws.send(JSON.stringify(['CLOSED', subId, refused]));
+                        return;
+                    }
+                    ws.send(JSON.stringify(['COUNT', subId, { count: db.countEvents(filters) }]));
+                    break;
+                }
                 case 'CLOSE':
-                    subscriptions.delete(payload[0]);
+                    subscriptions.remove(ws, payload[0]);
                     break;
             }
         } catch (e) {
@@ -126,15 +231,28 @@ wss.on('connection', (ws) => {
         }
     });
 
-    ws.on('close', () => subscriptions.clear());
+    ws.on('close', () => subscriptions.removeConnection(ws));
 });
 
+// NIP-40: purge expired events and stop seeding them
+const sweeper = setInterval(() => {
+    const expired = db.purgeExpired();
+    if (expired.length === 0) return;
+    console.log(`[Relay] Purged ${expired.length} expired events.`);
+    if (queue) {
+        for (const event of expired) {
+            queue.cancel(event).catch(err => console.error(`[Relay] Failed to unseed ${event.id}:`, err.message));
+        }
+    }
+}, EXPIRATION_SWEEP_MS);
+sweeper.unref();
+
 function broadcast(event) {
-    wss.clients.forEach(client => {
-        if (client.readyState === 1) {
-            client.send(JSON.stringify(['EVENT', 'subscription', event]));
+    for (const { conn, subId } of subscriptions.match(event)) {
+        if (conn.readyState === 1) {
+            conn.send(JSON.stringify(['EVENT', subId, event]));
         }
-    });
+    }
 }
 
 server.listen(PORT, () => {
@@ -142,6 +260,9 @@ server.listen(PORT, () => {
 });
 
 process.on('SIGINT', async () => {
+    clearInterval(sweeper);
+    if (queue?.close) await queue.close();
+    if (transportManager) await transportManager.feedManager.disconnect();
     if (hybrid) await hybrid.disconnect();
     if (tracker) tracker.close();
     server.close();
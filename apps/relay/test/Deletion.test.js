@@ -0,0 +1,106 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RelayDatabase } from '../src/Database.js';
+import { SeedingQueue } from '../src/SeedingQueue.js';
+
+describe('Relay Deletions (NIP-09)', () => {
+    let db;
+    const alice = 'a'.repeat(64);
+    const mallory = 'f'.repeat(64);
+    const id = (c) => c.repeat(64);
+    const ev = (fields) => ({ pubkey: alice, created_at: 100, kind: 1, content: '', sig: 's', tags: [], ...fields });
+    const stored = (filter) => db.queryEvents(filter).map(e => e.id);
+
+    beforeEach(() => {
+        db = new RelayDatabase(':memory:');
+    });
+
+    afterEach(() => {
+        db.db.close();
+    });
+
+    test('should remove the target and block re-insertion of its id', () => {
+        const note = ev({ id: id('1') });
+        db.saveEvent(note);
+
+        const result = db.saveEvent(ev({ id: id('d'), kind: 5, created_at: 200, tags: [['e', note.id]] }));
+        expect(result.deleted).toEqual([note]);
+        expect(stored({ kinds: [1] })).toEqual([]);
+
+        expect(db.saveEvent(note)).toEqual({ changes: 0, reason: 'blocked: event was deleted by its author' });
+        expect(stored({ kinds: [1] })).toEqual([]);
+    });
+
+    test('should block an event whose deletion arrived first', () => {
+        db.saveEvent(ev({ id: id('d'), kind: 5, created_at: 200, tags: [['e', id('1')]] }));
+        expect(db.saveEvent(ev({ id: id('1') })).changes).toBe(0);
+    });
+
+    test('should not let other pubkeys delete or block events', () => {
+        const note = ev({ id: id('1') });
+        db.saveEvent(note);
+
+        const result = db.saveEvent(ev({ id: id('d'), pubkey: mallory, kind: 5, created_at: 200, tags: [['e', note.id], ['a', `30023:${alice}:post`]] }));
+        expect(result.deleted).toBeUndefined();
+        expect(stored({ kinds: [1] })).toEqual([note.id]);
+
+        db.saveEvent(ev({ id: id('2'), kind: 30023, tags: [['d', 'post']] }));
+        expect(stored({ kinds: [30023] })).toEqual([id('2')]);
+    });
+
+    test('should delete addressable coordinates only up to the deletion timestamp', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 30023, tags: [['d', 'post']], created_at: 100 }));
+        db.saveEvent(ev({ id: id('2'), kind: 30023, tags: [['d', 'other']], created_at: 100 }));
+
+        const result = db.saveEvent(ev({ id: id('d'), kind: 5, created_at: 200, tags: [['a', `30023:${alice}:post`]] }));
+        expect(result.deleted.map(e => e.id)).toEqual([id('1')]);
+        expect(stored({ kinds: [30023] })).toEqual([id('2')]);
+
+        expect(db.saveEvent(ev({ id: id('3'), kind: 30023, tags: [['d', 'post']], created_at: 200 })).reason).toMatch(/^blocked: /);
+        expect(db.saveEvent(ev({ id: id('4'), kind: 30023, tags: [['d', 'post']], created_at: 201 })).changes).toBe(1);
+    });
+
+    test('should delete replaceable coordinates with an empty d', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 10002, created_at: 100 }));
+        db.saveEvent(ev({ id: id('d'), kind: 5, created_at: 200, tags: [['a', `10002:${alice}:`]] }));
+        expect(stored({ kinds: [10002] })).toEqual([]);
+    });
+
+    test('should ignore coordinates of regular kinds', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 1, created_at: 100 }));
+        db.saveEvent(ev({ id: id('d'), kind: 5, created_at: 200, tags: [['a', `1:${alice}:`]] }));
+        expect(stored({ kinds: [1] })).toEqual([id('1')]);
+    });
+});
+
+describe('Relay Seeding Queue Cancellation', () => {
+    const event = { id: '1'.repeat(64) };
+
+    test('should drop pending events and unseed them', async () => {
+        const manager = { reseedEvent: jest.fn(), unseedEvent: jest.fn().mockResolvedValue(true) };
+        const queue = new SeedingQueue(manager);
+        queue.isProcessing = true; // hold the queue
+        queue.enqueue(event);
+
+        await queue.cancel(event);
+        expect(queue.queue).toEqual([]);
+        expect(manager.unseedEvent).toHaveBeenCalledWith(event);
+    });
+
+    test('should unseed an in-flight event once its seed finishes', async () => {
+        let finishSeed;
+        const manager = {
+            reseedEvent: jest.fn(() => new Promise(resolve => { finishSeed = resolve; })),
+            unseedEvent: jest.fn().mockResolvedValue(true)
+        };
+        const queue = new SeedingQueue(manager);
+        queue.enqueue(event);
+        expect(queue.current).toBe(event.id);
+
+        await queue.cancel(event);
+        expect(manager.unseedEvent).not.toHaveBeenCalled();
+
+        finishSeed('magnet:?xt=urn:btih:' + 'ab'.repeat(20));
+        await new Promise(resolve => setImmediate(resolve));
+        expect(manager.unseedEvent).toHaveBeenCalledWith(event);
+    });
+});
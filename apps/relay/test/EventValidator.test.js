@@ -0,0 +1,52 @@
+import { describe, test, expect } from '@jest/globals';
+import { finalizeEvent, generateSecretKey, getPublicKey, getEventHash } from 'nostr-tools';
+import { EventValidator } from '../src/EventValidator.js';
+
+describe('Relay EVENT Validation', () => {
+    const validator = new EventValidator({ maxFutureSec: 900, maxAgeSec: 3600 });
+    const now = 1700000000;
+    // Round-trip through JSON like events arriving over the wire
+    const sign = (template) => JSON.parse(JSON.stringify(finalizeEvent({ tags: [], content: 'hello', kind: 1, created_at: now, ...template }, generateSecretKey())));
+
+    test('should accept a properly signed event', () => {
+        expect(validator.validate(sign({}), now)).toEqual({ valid: true, reason: '' });
+    });
+
+    test('should reject malformed events with invalid: reasons', () => {
+        const event = sign({});
+        const cases = [
+            null,
+            { ...event, id: 'xyz' },
+            { ...event, pubkey: event.pubkey.toUpperCase() },
+            { ...event, sig: undefined },
+            { ...event, created_at: '1700000000' },
+            { ...event, kind: -1 },
+            { ...event, tags: [['p', 1]] },
+            { ...event, content: null }
+        ];
+        for (const bad of cases) {
+            const result = validator.validate(bad, now);
+            expect(result.valid).toBe(false);
+            expect(result.reason).toMatch(/^invalid: /);
+        }
+    });
+
+    test('should reject an id that does not match the content', () => {
+        const result = validator.validate({ ...sign({}), content: 'tampered' }, now);
+        expect(result).toEqual({ valid: false, reason: 'invalid: event id does not match the serialized event' });
+    });
+
+    test('should reject a spoofed pubkey', () => {
+        const event = sign({});
+        const spoofed = { ...event, pubkey: getPublicKey(generateSecretKey()) };
+        spoofed.id = getEventHash(spoofed);
+
+        expect(validator.validate(spoofed, now)).toEqual({ valid: false, reason: 'invalid: bad signature' });
+    });
+
+    test('should enforce created_at bounds', () => {
+        expect(validator.validate(sign({ created_at: now + 901 }), now).reason).toBe('invalid: created_at is too far in the future');
+        expect(validator.validate(sign({ created_at: now - 3601 }), now).reason).toBe('invalid: created_at is too old');
+        expect(new EventValidator().validate(sign({ created_at: 1 }), now).valid).toBe(true);
+    });
+});
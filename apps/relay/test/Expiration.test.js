@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { finalizeEvent, generateSecretKey } from 'nostr-tools';
+import { RelayDatabase } from '../src/Database.js';
+import { EventValidator } from '../src/EventValidator.js';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+
+describe('Relay Ephemeral Events and Expiration (NIP-16, NIP-40)', () => {
+    let db;
+    const now = 1700000000;
+    const pk = 'a'.repeat(64);
+    const id = (c) => c.repeat(64);
+    const ev = (fields) => ({ pubkey: pk, created_at: now - 10, kind: 1, content: '', sig: 's', tags: [], ...fields });
+    const expiring = (c, at) => ev({ id: id(c), tags: [['expiration', String(at)]] });
+
+    beforeEach(() => {
+        db = new RelayDatabase(':memory:');
+    });
+
+    afterEach(() => {
+        db.db.close();
+    });
+
+    test('should never store ephemeral kinds', () => {
+        expect(db.saveEvent(ev({ id: id('1'), kind: 20001 }))).toEqual({ changes: 0 });
+        expect(db.saveEvent(ev({ id: id('2'), kind: 29999 }))).toEqual({ changes: 0 });
+        expect(db.saveEvent(ev({ id: id('3'), kind: 30000 })).changes).toBe(1);
+        expect(db.db.prepare('SELECT COUNT(*) AS n FROM events').get().n).toBe(1);
+    });
+
+    test('should reject events that have already expired', () => {
+        const validator = new EventValidator();
+        const sign = (tags) => JSON.parse(JSON.stringify(finalizeEvent({ kind: 1, created_at: now - 10, tags, content: '' }, generateSecretKey())));
+
+        expect(validator.validate(sign([['expiration', String(now)]]), now)).toEqual({ valid: false, reason: 'invalid: event has expired' });
+        expect(validator.validate(sign([['expiration', String(now + 1)]]), now).valid).toBe(true);
+        expect(validator.validate(sign([['expiration', 'soon']]), now).valid).toBe(true);
+    });
+
+    test('should hide expired events from queries', () => {
+        db.saveEvent(expiring('1', now + 60));
+        db.saveEvent(ev({ id: id('2') }));
+
+        expect(db.queryEvents({ kinds: [1] }, now).map(e => e.id)).toEqual([id('1'), id('2')]);
+        expect(db.queryEvents({ kinds: [1] }, now + 60).map(e => e.id)).toEqual([id('2')]);
+        expect(db.queryEvents({ search: 'x', kinds: [1] }, now + 60)).toEqual([]);
+    });
+
+    test('should purge expired events and return them for unseeding', () => {
+        db.saveEvent(expiring('1', now + 60));
+        db.saveEvent(expiring('2', now + 120));
+        db.saveEvent(ev({ id: id('3'), tags: [['t', 'keep']] }));
+
+        expect(db.purgeExpired(now)).toEqual([]);
+        expect(db.purgeExpired(now + 60).map(e => e.id)).toEqual([id('1')]);
+        expect(db.hasEvent(id('1'))).toBe(false);
+        expect(db.hasEvent(id('2'))).toBe(true);
+        expect(db.db.prepare('SELECT COUNT(*) AS n FROM tags WHERE event_id = ?').get(id('1')).n).toBe(0);
+    });
+
+    test('should backfill expiration for events stored before the column existed', () => {
+        const TEST_DB = './test-expiration.db';
+        if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+
+        const legacy = new Database(TEST_DB);
+        legacy.exec('CREATE TABLE events (id TEXT PRIMARY KEY, pubkey TEXT, created_at INTEGER, kind INTEGER, content TEXT, sig TEXT, magnet_uri TEXT, raw TEXT, d_tag TEXT)');
+        legacy.prepare('INSERT INTO events (id, pubkey, created_at, kind, content, sig, raw) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(id('1'), pk, now, 1, '', 's', RelayDatabase.serialize(expiring('1', now + 60)));
+        legacy.pragma('user_version = 2');
+        legacy.close();
+
+        try {
+            const migrated = new RelayDatabase(TEST_DB);
+            expect(migrated.queryEvents({}, now)).toHaveLength(1);
+            expect(migrated.purgeExpired(now + 60)).toHaveLength(1);
+            migrated.db.close();
+        } finally {
+            for (const suffix of ['', '-wal', '-shm']) {
+                if (fs.existsSync(TEST_DB + suffix)) fs.unlinkSync(TEST_DB + suffix);
+            }
+        }
+    });
+});
@@ -0,0 +1,67 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RelayDatabase } from '../src/Database.js';
+import { SeedingQueue } from '../src/SeedingQueue.js';
+
+describe('Relay Seeding Results', () => {
+    let db;
+    const id = (c) => c.repeat(64);
+    const magnet = (c) => `magnet:?xt=urn:btih:${c.repeat(40)}`;
+    const ev = (c) => ({ id: id(c), pubkey: 'a'.repeat(64), created_at: 100, kind: 1, content: '', sig: 's', tags: [] });
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        db = new RelayDatabase(':memory:');
+    });
+
+    afterEach(() => {
+        db.db.close();
+    });
+
+    test('should store and look up magnets by event id', () => {
+        db.saveEvent(ev('1'));
+        db.saveEvent(ev('2'));
+
+        expect(db.setMagnet(id('1'), magnet('1'))).toBe(true);
+        expect(db.setMagnet(id('3'), magnet('3'))).toBe(false);
+        expect(db.getMagnets([id('1'), id('2'), id('3')])).toEqual(new Map([[id('1'), magnet('1')]]));
+        expect(db.getMagnets([])).toEqual(new Map());
+    });
+
+    test('should keep serving the event itself without the magnet', () => {
+        db.saveEvent(ev('1'));
+        db.setMagnet(id('1'), magnet('1'));
+        expect(db.queryEvents({ ids: [id('1')] })).toEqual([ev('1')]);
+    });
+
+    test('should write the magnet back once the queue has seeded an event', async () => {
+        db.saveEvent(ev('1'));
+        const manager = { reseedEvent: jest.fn().mockResolvedValue(magnet('1')), unseedEvent: jest.fn() };
+        const queue = new SeedingQueue(manager, { onSeeded: (event, magnetUri) => db.setMagnet(event.id, magnetUri) });
+
+        queue.enqueue(ev('1'));
+        await flush();
+        expect(db.getMagnets([id('1')]).get(id('1'))).toBe(magnet('1'));
+    });
+
+    test('should not record magnets for expired or cancelled events', async () => {
+        const onSeeded = jest.fn();
+        let finishSeed;
+        const manager = {
+            reseedEvent: jest.fn()
+                .mockResolvedValueOnce(null)
+                .mockImplementationOnce(() => new Promise(resolve => { finishSeed = resolve; })),
+            unseedEvent: jest.fn().mockResolvedValue(true)
+        };
+        const queue = new SeedingQueue(manager, { onSeeded });
+
+        queue.enqueue(ev('1'));
+        await flush();
+        queue.enqueue(ev('2'));
+        await queue.cancel(ev('2'));
+        finishSeed(magnet('2'));
+        await flush();
+
+        expect(onSeeded).not.toHaveBeenCalled();
+        expect(manager.unseedEvent).toHaveBeenCalledWith(ev('2'));
+    });
+});
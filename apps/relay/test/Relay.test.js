@@ -1,5 +1,7 @@
 import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
 import { RelayDatabase } from '../src/Database.js';
+import Database from 'better-sqlite3';
+import { finalizeEvent, generateSecretKey, verifyEvent } from 'nostr-tools';
 import fs from 'fs';
 
 describe('Relay Logic & Database', () => {
@@ -12,6 +14,7 @@ describe('Relay Logic & Database', () => {
     });
 
     afterEach(() => {
+        db.db.close();
         if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
     });
 
@@ -70,4 +73,47 @@ describe('Relay Logic & Database', () => {
         expect(results).toHaveLength(1);
         expect(results[0].id).toBe('p2');
     });
+
+    test('should serve events with all tags intact so signatures still verify', () => {
+        const event = finalizeEvent({
+            kind: 1, created_at: 100, content: 'lossless',
+            tags: [
+                ['e', 'ab'.repeat(32), 'wss://relay.example', 'reply'],
+                ['client', 'nostr-over-bt'],
+                ['p', 'cd'.repeat(32), 'wss://other.example'],
+                ['emoji', 'bt', 'https://example.com/bt.png'],
+                ['t', 'nostr']
+            ]
+        }, generateSecretKey());
+        db.saveEvent(JSON.parse(JSON.stringify(event)));
+
+        const [served] = db.queryEvents({ '#e': ['ab'.repeat(32)] });
+        expect(served.tags).toEqual(event.tags);
+        expect(served).not.toHaveProperty('magnet_uri');
+        expect(verifyEvent(served)).toBe(true);
+    });
+
+    test('should migrate databases created before the raw column', () => {
+        db.db.close();
+        fs.unlinkSync(TEST_DB);
+
+        const legacy = new Database(TEST_DB);
+        legacy.exec(`
+            CREATE TABLE events (id TEXT PRIMARY KEY, pubkey TEXT, created_at INTEGER, kind INTEGER, content TEXT, sig TEXT, magnet_uri TEXT);
+            CREATE TABLE tags (event_id TEXT, name TEXT, value TEXT);
+            INSERT INTO events VALUES ('old', 'abc', 100, 1, 'legacy', 'sig', NULL);
+            INSERT INTO tags VALUES ('old', 't', 'nostr');
+        `);
+        legacy.close();
+
+        db = new RelayDatabase(TEST_DB);
+        expect(db.db.pragma('user_version', { simple: true })).toBe(4);
+        const [served] = db.queryEvents({ ids: ['old'] });
+        expect(served).toEqual({ id: 'old', pubkey: 'abc', created_at: 100, kind: 1, tags: [['t', 'nostr']], content: 'legacy', sig: 'sig' });
+
+        // Re-opening must not re-run the migration
+        db.db.close();
+        db = new RelayDatabase(TEST_DB);
+        expect(db.queryEvents({ '#t': ['nostr'] })).toHaveLength(1);
+    });
 });
@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RelayDatabase } from '../src/Database.js';
+
+describe('Relay Replaceable Events', () => {
+    let db;
+    const pk = 'a'.repeat(64);
+    const id = (c) => c.repeat(64);
+    const ev = (fields) => ({ pubkey: pk, created_at: 100, kind: 0, content: '', sig: 's', tags: [], ...fields });
+    const stored = (filter) => db.queryEvents(filter).map(e => e.id);
+
+    beforeEach(() => {
+        db = new RelayDatabase(':memory:');
+    });
+
+    afterEach(() => {
+        db.db.close();
+    });
+
+    test('should keep only the newest version of replaceable kinds', () => {
+        for (const kind of [0, 3, 10002]) {
+            db.saveEvent(ev({ id: id('1') + kind, kind, created_at: 100 }));
+            db.saveEvent(ev({ id: id('2') + kind, kind, created_at: 200 }));
+            expect(stored({ kinds: [kind] })).toEqual([id('2') + kind]);
+        }
+    });
+
+    test('should reject an older version that arrives late', () => {
+        db.saveEvent(ev({ id: id('2'), created_at: 200 }));
+        const result = db.saveEvent(ev({ id: id('1'), created_at: 100 }));
+
+        expect(result.changes).toBe(0);
+        expect(result.reason).toBe('invalid: a newer version of this replaceable event is stored');
+        expect(stored({ kinds: [0] })).toEqual([id('2')]);
+    });
+
+    test('should break created_at ties by lowest id regardless of arrival order', () => {
+        db.saveEvent(ev({ id: id('b'), created_at: 100 }));
+        expect(db.saveEvent(ev({ id: id('a'), created_at: 100 })).changes).toBe(1);
+        expect(db.saveEvent(ev({ id: id('c'), created_at: 100 })).reason).toMatch(/^invalid: /);
+        expect(stored({ kinds: [0] })).toEqual([id('a')]);
+    });
+
+    test('should converge on the same winner for any arrival order', () => {
+        const versions = [
+            ev({ id: id('3'), created_at: 300 }),
+            ev({ id: id('9'), created_at: 500 }),
+            ev({ id: id('4'), created_at: 500 }),
+            ev({ id: id('1'), created_at: 100 })
+        ];
+        const orders = [[0, 1, 2, 3], [3, 2, 1, 0], [1, 3, 0, 2], [2, 0, 3, 1]];
+        for (const order of orders) {
+            db.db.close();
+            db = new RelayDatabase(':memory:');
+            for (const i of order) db.saveEvent(versions[i]);
+            expect(stored({ authors: [pk] })).toEqual([id('4')]);
+        }
+    });
+
+    test('should address 30000-range events by pubkey, kind and d tag', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 30023, tags: [['d', 'post']], created_at: 100 }));
+        db.saveEvent(ev({ id: id('2'), kind: 30023, tags: [['d', 'other']], created_at: 100 }));
+        db.saveEvent(ev({ id: id('3'), kind: 30023, tags: [['d', 'post']], created_at: 200 }));
+        db.saveEvent(ev({ id: id('4'), kind: 30023, tags: [['d', 'post']], created_at: 150 }));
+        db.saveEvent(ev({ id: id('5'), kind: 30023, pubkey: 'b'.repeat(64), tags: [['d', 'post']], created_at: 50 }));
+
+        expect(stored({ kinds: [30023] }).sort()).toEqual([id('2'), id('3'), id('5')]);
+    });
+
+    test('should treat a missing d tag as the empty identifier', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 30000, tags: [], created_at: 100 }));
+        db.saveEvent(ev({ id: id('2'), kind: 30000, tags: [['d', '']], created_at: 200 }));
+        db.saveEvent(ev({ id: id('3'), kind: 30000, tags: [['d']], created_at: 150 }));
+
+        expect(stored({ kinds: [30000] })).toEqual([id('2')]);
+    });
+
+    test('should leave regular kinds alone', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 1, created_at: 200 }));
+        db.saveEvent(ev({ id: id('2'), kind: 1, created_at: 100 }));
+        expect(stored({ kinds: [1] })).toEqual([id('1'), id('2')]);
+    });
+
+    test('should drop the replaced version from the tag index', () => {
+        db.saveEvent(ev({ id: id('1'), kind: 3, tags: [['p', 'b'.repeat(64)]], created_at: 100 }));
+        db.saveEvent(ev({ id: id('2'), kind: 3, tags: [['p', 'c'.repeat(64)]], created_at: 200 }));
+
+        expect(stored({ '#p': ['b'.repeat(64)] })).toEqual([]);
+        expect(db.db.prepare('SELECT COUNT(*) AS n FROM tags').get().n).toBe(1);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RelayDatabase } from '../src/Database.js';
+import { RequestLimits } from '../src/RequestLimits.js';
+
+describe('Relay REQ and COUNT (NIP-45)', () => {
+    let db;
+    const pk = (c) => c.repeat(64);
+    const id = (n) => n.toString(16).padStart(64, '0');
+
+    beforeEach(() => {
+        db = new RelayDatabase(':memory:');
+        for (let i = 1; i <= 6; i++) {
+            db.saveEvent({
+                id: id(i), pubkey: pk(i % 2 ? 'a' : 'b'), created_at: 100 + i, kind: 1,
+                content: '', sig: 's', tags: i <= 3 ? [['t', 'nostr']] : []
+            });
+        }
+    });
+
+    afterEach(() => {
+        db.db.close();
+    });
+
+    test('should return each event once across overlapping filters, newest first', () => {
+        const results = db.queryFilters([{ authors: [pk('a')] }, { '#t': ['nostr'] }, { ids: [id(1)] }]);
+        expect(results.map(e => e.id)).toEqual([id(5), id(3), id(2), id(1)]);
+    });
+
+    test('should apply limits per filter', () => {
+        const results = db.queryFilters([{ authors: [pk('a')], limit: 1 }, { authors: [pk('b')], limit: 0 }]);
+        expect(results.map(e => e.id)).toEqual([id(5)]);
+    });
+
+    test('should count distinct matches across filters and ignore limit', () => {
+        expect(db.countEvents([{ authors: [pk('a')] }, { '#t': ['nostr'] }])).toBe(4);
+        expect(db.countEvents([{ kinds: [1], limit: 2 }])).toBe(6);
+        expect(db.countEvents([{ kinds: [7] }])).toBe(0);
+        expect(db.countEvents([])).toBe(0);
+    });
+
+    test('should match multi-value and combined tag filters without duplicates', () => {
+        db.saveEvent({ id: id(7), pubkey: pk('c'), created_at: 200, kind: 1, content: '', sig: 's', tags: [['t', 'nostr'], ['t', 'bt'], ['t', 'bt'], ['p', pk('a')]] });
+
+        expect(db.queryEvents({ '#t': ['bt'] }).map(e => e.id)).toEqual([id(7)]);
+        expect(db.countEvents([{ '#t': ['bt'] }])).toBe(1);
+
+        expect(db.queryEvents({ '#t': ['nostr', 'bt'] }).map(e => e.id)).toEqual([id(7), id(3), id(2), id(1)]);
+        expect(db.queryEvents({ '#t': ['bt'], '#p': [pk('a')] }).map(e => e.id)).toEqual([id(7)]);
+        expect(db.queryEvents({ '#t': ['nostr'], '#p': [pk('b')] })).toEqual([]);
+    });
+
+    test('should order events with the same created_at by id', () => {
+        // Inserted highest id first so insertion order cannot pass for the tie-break
+        for (const n of [10, 9, 8]) {
+            db.saveEvent({ id: id(n), pubkey: pk('c'), created_at: 300, kind: 1, content: '', sig: 's', tags: [['t', 'tie']] });
+        }
+
+        expect(db.queryEvents({ kinds: [1], limit: 2 }).map(e => e.id)).toEqual([id(8), id(9)]);
+        expect(db.queryEvents({ '#t': ['tie'], limit: 2 }).map(e => e.id)).toEqual([id(8), id(9)]);
+        expect(db.queryEvents({ authors: [pk('c')] }).map(e => e.id)).toEqual([id(8), id(9), id(10)]);
+    });
+
+    test('should reuse prepared statements and use the composite indexes', () => {
+        db.queryEvents({ kinds: [1], limit: 2 });
+        const cached = db.statements.size;
+        db.queryEvents({ kinds: [1], limit: 3 });
+        expect(db.statements.size).toBe(cached);
+
+        const plan = (sql) => db.db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(1).map(r => r.detail).join('\n');
+        expect(plan('SELECT raw FROM events WHERE kind = ? ORDER BY created_at DESC')).toMatch(/idx_kind_created/);
+        expect(plan(`SELECT raw FROM events WHERE pubkey = '${pk('a')}' AND kind = ? ORDER BY created_at DESC`)).toMatch(/idx_pubkey_kind_created/);
+    });
+
+    test('should cap filters, limits and subscriptions', () => {
+        const limits = new RequestLimits({ maxFilters: 2, maxLimit: 50, defaultLimit: 10, maxSubscriptions: 1 });
+
+        expect(limits.check('sub', [{}, {}])).toBeNull();
+        expect(limits.check('sub', [{}, {}, {}])).toBe('error: too many filters (max 2)');
+        expect(limits.check('', [{}])).toMatch(/^error: /);
+        expect(limits.check('sub', ['not-a-filter'])).toBe('error: filters must be objects');
+
+        expect(limits.check('new', [{}], { count: 1, has: false })).toBe('error: too many subscriptions (max 1)');
+        expect(limits.check('sub', [{}], { count: 1, has: true })).toBeNull();
+
+        expect(limits.applyLimit({ kinds: [1] })).toEqual({ kinds: [1], limit: 10 });
+        expect(limits.applyLimit({ limit: 5000 }).limit).toBe(50);
+        expect(limits.applyLimit({ limit: 0 }).limit).toBe(0);
+    });
+
+    test('should advertise the caps in NIP-11 terms', () => {
+        expect(new RequestLimits().toNip11()).toEqual({ max_filters: 10, max_limit: 500, default_limit: 100, max_subscriptions: 20 });
+    });
+});
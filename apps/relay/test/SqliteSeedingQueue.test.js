@@ -0,0 +1,117 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { SqliteSeedingQueue } from '../src/SqliteSeedingQueue.js';
+
+describe('Relay SQLite Seeding Queue', () => {
+    let db;
+    let queue;
+    const ev = (n) => ({ id: n.toString(16).padStart(64, '0'), pubkey: 'a'.repeat(64), created_at: 100, kind: 1, content: '', sig: 's', tags: [] });
+    const magnet = (event) => `magnet:?xt=urn:btih:${event.id.substring(0, 40)}`;
+    const jobs = () => db.prepare('SELECT event_id, status, attempts FROM seeding_jobs ORDER BY event_id').all();
+    const until = async (condition) => {
+        for (let i = 0; i < 200 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+        expect(condition()).toBe(true);
+    };
+
+    beforeEach(() => {
+        db = new Database(':memory:');
+    });
+
+    afterEach(async () => {
+        if (queue) await queue.close();
+        queue = null;
+        db.close();
+    });
+
+    test('should seed jobs and report their magnets', async () => {
+        const onSeeded = jest.fn();
+        const manager = { reseedEvent: jest.fn(async (event) => magnet(event)), unseedEvent: jest.fn() };
+        queue = new SqliteSeedingQueue(manager, db, { concurrency: 2, onSeeded });
+
+        queue.enqueue(ev(1));
+        queue.enqueue(ev(2));
+        queue.enqueue(ev(1)); // already queued
+
+        await until(() => onSeeded.mock.calls.length === 2);
+        expect(manager.reseedEvent).toHaveBeenCalledTimes(2);
+        expect(onSeeded).toHaveBeenCalledWith(ev(1), magnet(ev(1)));
+        expect(jobs()).toEqual([]);
+    });
+
+    test('should never run more jobs than the concurrency limit', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const manager = {
+            reseedEvent: jest.fn(async (event) => {
+                peak = Math.max(peak, ++inFlight);
+                await new Promise(resolve => setTimeout(resolve, 10));
+                inFlight--;
+                return magnet(event);
+            })
+        };
+        queue = new SqliteSeedingQueue(manager, db, { concurrency: 3 });
+
+        for (let i = 1; i <= 10; i++) queue.enqueue(ev(i));
+        await until(() => manager.reseedEvent.mock.calls.length === 10 && inFlight === 0);
+        expect(peak).toBe(3);
+    });
+
+    test('should retry with exponential backoff and keep dead letters', async () => {
+        const manager = { reseedEvent: jest.fn().mockRejectedValue(new Error('no peers')) };
+        queue = new SqliteSeedingQueue(manager, db, { maxAttempts: 3, retryDelayMs: 20 });
+
+        const start = Date.now();
+        queue.enqueue(ev(1));
+        await until(() => queue.deadLetters().length === 1);
+
+        // 20ms then 40ms between the three attempts
+        expect(Date.now() - start).toBeGreaterThanOrEqual(60);
+        expect(manager.reseedEvent).toHaveBeenCalledTimes(3);
+        expect(queue.deadLetters()).toEqual([{ event_id: ev(1).id, attempts: 3, last_error: 'no peers' }]);
+
+        // Re-enqueueing a dead letter starts over
+        manager.reseedEvent.mockResolvedValue(magnet(ev(1)));
+        queue.enqueue(ev(1));
+        await until(() => jobs().length === 0);
+    });
+
+    test('should resume pending and interrupted jobs after a restart', async () => {
+        const stalled = { reseedEvent: jest.fn(() => new Promise(() => {})) };
+        const first = new SqliteSeedingQueue(stalled, db, { concurrency: 1 });
+        first.enqueue(ev(1));
+        first.enqueue(ev(2));
+        expect(jobs().map(j => j.status)).toEqual(['active', 'pending']);
+
+        // Simulate a crash: the first queue is abandoned mid-job
+        first.closed = true;
+        const manager = { reseedEvent: jest.fn(async (event) => magnet(event)) };
+        queue = new SqliteSeedingQueue(manager, db, { concurrency: 1 });
+
+        await until(() => jobs().length === 0);
+        expect(manager.reseedEvent.mock.calls.map(([event]) => event.id)).toEqual([ev(1).id, ev(2).id]);
+    });
+
+    test('should cancel queued and in-flight jobs', async () => {
+        let finishSeed;
+        const manager = {
+            reseedEvent: jest.fn(() => new Promise(resolve => { finishSeed = resolve; })),
+            unseedEvent: jest.fn().mockResolvedValue(true)
+        };
+        const onSeeded = jest.fn();
+        queue = new SqliteSeedingQueue(manager, db, { concurrency: 1, onSeeded });
+
+        queue.enqueue(ev(1));
+        queue.enqueue(ev(2));
+        await queue.cancel(ev(2));
+        expect(manager.unseedEvent).toHaveBeenCalledWith(ev(2));
+
+        await queue.cancel(ev(1));
+        expect(manager.unseedEvent).toHaveBeenCalledTimes(1);
+        finishSeed(magnet(ev(1)));
+
+        await until(() => manager.unseedEvent.mock.calls.length === 2);
+        expect(onSeeded).not.toHaveBeenCalled();
+        expect(jobs()).toEqual([]);
+        expect(manager.reseedEvent).toHaveBeenCalledTimes(1);
+    });
+});
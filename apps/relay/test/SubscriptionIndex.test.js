@@ -0,0 +1,71 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { SubscriptionIndex } from '../src/SubscriptionIndex.js';
+
+describe('Relay Live Subscriptions', () => {
+    let index;
+    const alice = { name: 'alice' };
+    const bob = { name: 'bob' };
+    const pk = (c) => c.repeat(64);
+
+    const event = {
+        id: 'e'.repeat(64), pubkey: pk('a'), created_at: 1000, kind: 1,
+        tags: [['t', 'nostr'], ['p', pk('b')]], content: 'Hello BitTorrent world', sig: 's'.repeat(128)
+    };
+    const matches = () => index.match(event).map(m => `${m.conn.name}:${m.subId}`).sort();
+
+    beforeEach(() => {
+        index = new SubscriptionIndex();
+    });
+
+    test('should deliver under the right subscription id', () => {
+        index.add(alice, 'notes', [{ kinds: [1] }]);
+        index.add(alice, 'profiles', [{ kinds: [0] }]);
+        index.add(bob, 'feed', [{ authors: [pk('a')] }]);
+
+        expect(matches()).toEqual(['alice:notes', 'bob:feed']);
+    });
+
+    test('should check every filter field, not just the bucket key', () => {
+        index.add(alice, 'ids', [{ ids: [event.id], kinds: [0] }]);
+        index.add(alice, 'since', [{ authors: [pk('a')], since: 2000 }]);
+        index.add(alice, 'until', [{ kinds: [1], until: 999 }]);
+        index.add(alice, 'tag-miss', [{ '#t': ['bitcoin'] }]);
+        index.add(bob, 'tag-hit', [{ '#p': [pk('b')], kinds: [1] }]);
+        index.add(bob, 'search-hit', [{ search: 'bittorrent WORLD' }]);
+        index.add(bob, 'search-miss', [{ search: 'dht' }]);
+        index.add(bob, 'all', [{}]);
+
+        expect(matches()).toEqual(['bob:all', 'bob:search-hit', 'bob:tag-hit']);
+    });
+
+    test('should deliver once per subscription when several filters match', () => {
+        index.add(alice, 'multi', [{ kinds: [1] }, { authors: [pk('a')] }, { '#t': ['nostr'] }]);
+        expect(matches()).toEqual(['alice:multi']);
+    });
+
+    test('should replace, close and clean up subscriptions', () => {
+        index.add(alice, 'sub', [{ kinds: [1] }]);
+        index.add(alice, 'sub', [{ kinds: [7] }]);
+        expect(matches()).toEqual([]);
+
+        index.add(alice, 'sub', [{ kinds: [1] }]);
+        index.add(bob, 'sub', [{ kinds: [1] }]);
+        expect(index.remove(alice, 'sub')).toBe(true);
+        expect(matches()).toEqual(['bob:sub']);
+
+        index.removeConnection(bob);
+        expect(matches()).toEqual([]);
+        expect(index.buckets.size).toBe(0);
+        expect(index.subscriptions.size).toBe(0);
+    });
+
+    test('should only inspect candidate buckets with many subscriptions', () => {
+        for (let i = 0; i < 5000; i++) {
+            index.add({ name: `c${i}` }, 'sub', [{ authors: [i.toString(16).padStart(64, '0')] }]);
+        }
+        index.add(alice, 'sub', [{ authors: [pk('a')] }]);
+
+        expect(index.buckets.size).toBe(5001);
+        expect(matches()).toEqual(['alice:sub']);
+    });
+});
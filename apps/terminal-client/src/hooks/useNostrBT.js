@@ -9,6 +9,7 @@ import {
   RelayListManager,
   WoTManager,
   FeedManager,
+  IndexedDBFeedStore,
   Kinds
 } from 'nostr-over-bt'
 import { finalizeEvent, getPublicKey, generateSecretKey } from 'nostr-tools/pure'
@@ -346,6 +347,10 @@ export function useNostrBT(options = {}) {
 
     relayListManagerRef.current = null
 
+    if (managerRef.current?.feedManager) {
+      managerRef.current.feedManager.disconnect()
+    }
+
     if (hybridRef.current) {
       hybridRef.current.disconnect()
     }
@@ -612,10 +617,27 @@ export function useNostrBT(options = {}) {
         throw new Error(`Unsupported auth mode: ${mode}`)
       }
 
-      const identityManager = IdentityManager.fromNostrSecretKey(resolvedTransportSecretHex)
-      identityManager.setNostrPubkey(resolvedNostrPubkey)
+      // nip07 keeps a random transport seed of its own; an nsec may predate HKDF derivation,
+      // so its old P2P address stays resolvable while followers move over (FeedManager drops
+      // the migration on restore if that address never had a feed)
+      const identityManager = mode === 'nsec'
+        ? await IdentityManager.migrateFromLegacy(signingSecretHex)
+        : new IdentityManager(resolvedTransportSecretHex, resolvedNostrPubkey)
       const transportPubkey = identityManager.getPublicKey()
 
+      // Followers reject feeds without a delegation. NIP-07 only signs events, so
+      // the raw delegation hash needs an extension that also offers signSchnorr;
+      // without one, P2P feed publishing stays off in this mode
+      let canPublishFeed = true
+      if (mode === 'nip07') {
+        if (typeof window.nostr?.signSchnorr === 'function') {
+          await identityManager.delegate((hashHex) => window.nostr.signSchnorr(hashHex))
+        } else {
+          canPublishFeed = false
+          logSwarmEvent('extension cannot sign delegations: p2p feed publishing disabled', 'warning')
+        }
+      }
+
       if (!isMounted.current) return
       setIdentity({
         nostrPubkey: resolvedNostrPubkey,
@@ -653,7 +675,7 @@ export function useNostrBT(options = {}) {
       hybridRef.current = hybrid
 
       const wot = new WoTManager(nostr)
-      const feed = new FeedManager(bt, identityManager)
+      const feed = canPublishFeed ? new FeedManager(bt, identityManager, { store: new IndexedDBFeedStore() }) : null
       managerRef.current = new TransportManager(hybrid, {
         wotManager: wot,
         feedManager: feed
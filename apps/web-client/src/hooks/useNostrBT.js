@@ -7,7 +7,8 @@ import {
     BitTorrentTransport,
     ProfileManager,
     WoTManager,
-    FeedManager
+    FeedManager,
+    IndexedDBFeedStore
 } from 'nostr-over-bt';
 import { finalizeEvent, getPublicKey, generateSecretKey } from 'nostr-tools/pure';
 import * as nip19 from 'nostr-tools/nip19';
@@ -39,6 +40,7 @@ export function useNostrBT() {
         initialized.current = true;
 
         let sk = localStorage.getItem('nostr_nsec');
+        const storedKey = Boolean(sk);
         if (!sk) {
             sk = Buffer.from(generateSecretKey()).toString('hex');
             localStorage.setItem('nostr_nsec', sk);
@@ -67,8 +69,6 @@ export function useNostrBT() {
         hybridRef.current = hybrid;
         
         const wot = new WoTManager(nostr);
-        const feed = new FeedManager(bt, id);
-        managerRef.current = new TransportManager(hybrid, { wotManager: wot, feedManager: feed });
 
         const onEvent = (event) => {
             if (!isMounted.current) return;
@@ -90,6 +90,15 @@ export function useNostrBT() {
         };
 
         const start = async () => {
+            // Stored keys may predate HKDF derivation: keep their old P2P address resolvable while followers move over
+            // (FeedManager drops the migration on restore if that address never had a feed)
+            const feedIdentity = storedKey ? await IdentityManager.migrateFromLegacy(sk) : id;
+            // Followers reject feeds without a delegation (migrateFromLegacy signs its own)
+            if (!storedKey) await id.delegate(sk);
+            if (!isMounted.current) return;
+            const feed = new FeedManager(bt, feedIdentity, { store: new IndexedDBFeedStore() });
+            managerRef.current = new TransportManager(hybrid, { wotManager: wot, feedManager: feed });
+
             await hybrid.connect();
             if (!isMounted.current) return;
             setStatus('online');
@@ -110,6 +119,7 @@ export function useNostrBT() {
         return () => {
             isMounted.current = false;
             clearInterval(interval);
+            if (managerRef.current) managerRef.current.feedManager.disconnect();
             if (hybridRef.current) hybridRef.current.disconnect();
             initialized.current = false;
         };
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RelayDatabase } from '../../apps/relay/src/Database.js';
+
+// Usage: node examples/relay-server/db-benchmark.js [eventCount] [dbPath]
+// Reuses an existing database at dbPath if it already holds enough events.
+const EVENT_COUNT = parseInt(process.argv[2] || '1000000');
+const DB_PATH = process.argv[3] || path.join(os.tmpdir(), `relay-bench-${EVENT_COUNT}.db`);
+const AUTHORS = 10000;
+const TOPICS = ['nostr', 'bitcoin', 'bittorrent', 'dht', 'p2p', 'relay', 'zaps', 'art'];
+const KINDS = [1, 1, 1, 1, 1, 6, 7, 7, 7, 1063];
+const RUNS = 200;
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+const rand = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff;
+};
+const pick = (list) => list[Math.floor(rand() * list.length)];
+const hex = (n) => n.toString(16).padStart(64, '0');
+const authorOf = (i) => hex(1e9 + i);
+
+function populate(db) {
+    const existing = db.db.prepare('SELECT COUNT(*) AS n FROM events').get().n;
+    if (existing >= EVENT_COUNT) {
+        console.log(`[Bench] Reusing ${existing} events in ${DB_PATH}`);
+        return;
+    }
+
+    console.log(`[Bench] Inserting ${EVENT_COUNT - existing} events into ${DB_PATH}...`);
+    const start = performance.now();
+    const batch = db.db.transaction((from, to) => {
+        for (let i = from; i < to; i++) {
+            const kind = pick(KINDS);
+            const tags = [['t', pick(TOPICS)], ['p', authorOf(Math.floor(rand() * AUTHORS))]];
+            if (kind !== 1) tags.push(['e', hex(Math.floor(rand() * Math.max(i, 1)))]);
+            db.saveEvent({
+                id: hex(i),
+                pubkey: authorOf(i % AUTHORS),
+                created_at: 1700000000 + i,
+                kind,
+                tags,
+                content: `Event ${i} about ${pick(TOPICS)} and ${pick(TOPICS)}`,
+                sig: 'f'.repeat(128)
+            });
+        }
+    });
+
+    const BATCH = 10000;
+    for (let from = existing; from < EVENT_COUNT; from += BATCH) {
+        batch(from, Math.min(from + BATCH, EVENT_COUNT));
+        if ((from / BATCH) % 10 === 0) process.stdout.write(`\r[Bench] ${from + BATCH} / ${EVENT_COUNT}`);
+    }
+    console.log(`\n[Bench] Inserted in ${((performance.now() - start) / 1000).toFixed(1)}s`);
+}
+
+function measure(label, fn) {
+    const timings = [];
+    let results = 0;
+    for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        results = fn(i);
+        timings.push(performance.now() - start);
+    }
+    timings.sort((a, b) => a - b);
+    const at = (q) => timings[Math.min(timings.length - 1, Math.floor(q * timings.length))].toFixed(2);
+    const avg = (timings.reduce((a, b) => a + b, 0) / timings.length).toFixed(2);
+    console.log(`${label.padEnd(38)} ${String(results).padStart(6)} ${avg.padStart(8)} ${at(0.5).padStart(8)} ${at(0.95).padStart(8)} ${at(0.99).padStart(8)}`);
+}
+
+function main() {
+    console.log(`=== Relay Database Benchmark (${EVENT_COUNT} events) ===`);
+    const db = new RelayDatabase(DB_PATH);
+    populate(db);
+
+    const author = (i) => authorOf((i * 7919) % AUTHORS);
+    console.log(`\n${'Query'.padEnd(38)} ${'rows'.padStart(6)} ${'avg ms'.padStart(8)} ${'p50'.padStart(8)} ${'p95'.padStart(8)} ${'p99'.padStart(8)}`);
+
+    measure('kinds [1], limit 100', () => db.queryEvents({ kinds: [1], limit: 100 }).length);
+    measure('author, limit 100', (i) => db.queryEvents({ authors: [author(i)], limit: 100 }).length);
+    measure('author + kinds [1], limit 50', (i) => db.queryEvents({ authors: [author(i)], kinds: [1], limit: 50 }).length);
+    measure('50 authors (follow feed), limit 200', (i) => db.queryEvents({
+        authors: Array.from({ length: 50 }, (_, j) => author(i + j)), kinds: [1, 6], limit: 200
+    }).length);
+    measure('#t tag, limit 100', (i) => db.queryEvents({ '#t': [TOPICS[i % TOPICS.length]], limit: 100 }).length);
+    measure('#p mentions + kinds [7], limit 100', (i) => db.queryEvents({ '#p': [author(i)], kinds: [7], limit: 100 }).length);
+    measure('ids (100 random)', (i) => db.queryEvents({
+        ids: Array.from({ length: 100 }, (_, j) => hex(((i + 1) * 104729 + j * 7) % EVENT_COUNT))
+    }).length);
+    measure('3 filters merged, limit 100 each', (i) => db.queryFilters([
+        { authors: [author(i)], limit: 100 },
+        { '#p': [author(i)], limit: 100 },
+        { kinds: [1063], limit: 100 }
+    ]).length);
+    measure('search "bittorrent", limit 50', () => db.queryEvents({ search: 'bittorrent', limit: 50 }).length);
+    measure('COUNT author', (i) => db.countEvents([{ authors: [author(i)] }]));
+
+    db.db.close();
+    if (!process.argv[3]) console.log(`\n[Bench] Database kept at ${DB_PATH} (delete it to re-populate).`);
+}
+
+if (!fs.existsSync(path.dirname(DB_PATH))) fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+main();
@@ -18,7 +18,10 @@ export const Kinds = {
  */
 export const Identifiers = {
     IDENTITY_BRIDGE: 'nostr-over-bt-identity',
-    FEED_BRIDGE: 'nostr-over-bt-feed'
+    FEED_BRIDGE: 'nostr-over-bt-feed',
+    KEY_ROTATION: 'nostr-over-bt-rotation',
+    TRANSPORT_KEY_SALT: 'nostr-over-bt',
+    TRANSPORT_KEY_LABEL: 'nostr-over-bt:transport-key:v1'
 };
 
 /**
@@ -27,8 +30,31 @@ export const Identifiers = {
 export const Limits = {
     KEY_CACHE_SIZE: 5000,
     MAGNET_CACHE_SIZE: 5000,
+    EVENT_CACHE_SIZE: 1000,
     PROFILE_CACHE_SIZE: 1000,
     FEED_INDEX_LIMIT: 100,
+    FEED_ITEM_TAG_LIMIT: 20, // Tag values summarized per index item before giving up
+    EVENT_PIECE_LENGTH: 16384, // Fixed so event torrents are a pure function of the event
+    FEED_ARCHIVE_PAGE_SIZE: 50,
+    FEED_CAS_RETRIES: 5,
+    REPUBLISH_INTERVAL_MS: 30 * 60 * 1000, // BEP-44 items expire from nodes after ~2h
+    SUBSCRIBE_POLL_MS: 30 * 1000,
+    SUBSCRIBE_MAX_BACKOFF_MS: 10 * 60 * 1000,
+    HYDRATE_CONCURRENCY: 4,
+    FOLLOWS_CONCURRENCY: 8,
+    FOLLOW_TIMEOUT_MS: 15 * 1000,
     BATCH_INTERVAL_MS: 2000,
-    MAX_BATCH_SIZE: 50
+    MAX_BATCH_SIZE: 50,
+    DELEGATION_TTL_SEC: 60 * 60 * 24 * 90,
+    MIGRATION_GRACE_SEC: 60 * 60 * 24 * 30,
+    MAX_ROTATION_HOPS: 8,
+    ROTATION_CHECK_TTL_MS: 10 * 60 * 1000 // How long a relay lookup for a key's rotation is trusted
+};
+
+/**
+ * Source labels attached to events merged by HybridTransport.subscribe.
+ * Relay sources are the relay URLs themselves.
+ */
+export const Sources = {
+    SWARM: 'swarm'
 };
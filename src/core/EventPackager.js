@@ -1,7 +1,12 @@
 import { z } from 'zod';
-import { verifyEvent } from 'nostr-tools';
-import { ValidationError } from '../utils/Errors.js';
+import { verifyEvent, getEventHash } from 'nostr-tools';
+import { ValidationError, IntegrityError } from '../utils/Errors.js';
+import { computeMagnet, getInfoHash } from '../utils/TorrentUtils.js';
 import { logger } from '../utils/Logger.js';
+import { Limits } from '../Constants.js';
+
+// NIP-01 field order; serialization never depends on the caller's key order
+const FIELD_ORDER = ['id', 'pubkey', 'created_at', 'kind', 'tags', 'content', 'sig'];
 
 /**
  * Event Schema for validation.
@@ -16,52 +21,138 @@ const EventSchema = z.object({
     sig: z.string().min(1).optional()
 });
 
+const hex = (length) => z.string().regex(new RegExp(`^[0-9a-f]{${length}}$`));
+
+/**
+ * Complete NIP-01 event, required in strict mode.
+ */
+const SignedEventSchema = z.object({
+    id: hex(64),
+    pubkey: hex(64),
+    created_at: z.number().int(),
+    kind: z.number().int(),
+    tags: z.array(z.array(z.string())),
+    content: z.string(),
+    sig: hex(128)
+});
+
 /**
  * EventPackager handles the conversion of Nostr events to/from 
  * BitTorrent-compatible data structures.
  */
 export class EventPackager {
+    /**
+     * @param {object} [options={}]
+     * @param {boolean} [options.strict=true] - Reject events that fail id or signature
+     *        verification instead of only logging a warning.
+     */
+    constructor(options = {}) {
+        this.strict = options.strict !== false;
+    }
     /**
      * Packages a Nostr event into a Buffer for seeding.
+     * The serialization is canonical: NIP-01 field order, no whitespace.
      * @param {object} event - The Nostr event.
      * @returns {Buffer} - The JSON buffer of the event.
      */
     package(event) {
+        let validEvent;
         try {
-            const validEvent = EventSchema.parse(event);
-            const data = JSON.stringify(validEvent);
-            return Buffer.from(data);
+            validEvent = EventSchema.parse(event);
         } catch (error) {
             throw new ValidationError(`Invalid Nostr event: ${error.message}`);
         }
+
+        const canonical = {};
+        for (const field of FIELD_ORDER) {
+            if (validEvent[field] !== undefined) canonical[field] = validEvent[field];
+        }
+        return Buffer.from(JSON.stringify(canonical));
+    }
+
+    /**
+     * Returns everything needed to seed an event canonically, so that every
+     * seeder of the same event ends up in the same swarm.
+     * @param {object} event - The Nostr event.
+     * @returns {object} - { buffer, filename, pieceLength } for BitTorrentTransport.publish.
+     */
+    packageTorrent(event) {
+        return {
+            buffer: this.package(event),
+            filename: this.getFilename(event),
+            pieceLength: Limits.EVENT_PIECE_LENGTH
+        };
+    }
+
+    /**
+     * Computes, offline, the magnet URI any node seeding this event will produce.
+     * @param {object} event - The Nostr event.
+     * @returns {string}
+     */
+    getMagnet(event) {
+        const { buffer, filename, pieceLength } = this.packageTorrent(event);
+        return computeMagnet(buffer, filename, pieceLength);
+    }
+
+    /**
+     * Checks whether a magnet (e.g. from a `bt` tag or index item) really is
+     * the canonical torrent of the event.
+     * @param {object} event - The Nostr event.
+     * @param {string} magnetUri
+     * @returns {boolean}
+     */
+    matchesMagnet(event, magnetUri) {
+        const infoHash = getInfoHash(magnetUri);
+        return infoHash !== null && infoHash === getInfoHash(this.getMagnet(event));
     }
 
     /**
      * Unpacks a buffer back into a Nostr event.
+     * In strict mode the event must be complete, its id must match the
+     * serialized hash and its signature must verify.
+     *
      * @param {Buffer|string} data - The data from BitTorrent.
+     * @param {object} [options={}]
+     * @param {string} [options.expectedId] - Id the event must have (e.g. from the FeedIndex item that pointed to it).
      * @returns {object} - The Nostr event.
+     * @throws {ValidationError} If the data is not a well-formed event.
+     * @throws {IntegrityError} If the event is well-formed but forged or not the expected one.
      */
-    unpack(data) {
+    unpack(data, options = {}) {
+        let validEvent;
         try {
-            const jsonString = data.toString();
-            const event = JSON.parse(jsonString);
-            const validEvent = EventSchema.parse(event);
+            const event = JSON.parse(data.toString());
+            validEvent = (this.strict ? SignedEventSchema : EventSchema).parse(event);
+        } catch (error) {
+            throw new ValidationError(`Failed to unpack event: ${error.message}`);
+        }
 
-            // Defense-in-depth: Verify signature if full event is present
-            if (validEvent.pubkey && validEvent.sig && validEvent.content && validEvent.id.length === 64) {
-                try {
-                    if (!verifyEvent(validEvent)) {
-                        logger.warn(`Signature verification failed for ${validEvent.id}`);
-                    }
-                } catch {
-                    // Skip verification if nostr-tools throws (e.g. malformed but passed zod)
-                }
-            }
+        if (options.expectedId && validEvent.id !== options.expectedId) {
+            throw new IntegrityError(`Event id mismatch: expected ${options.expectedId}, got ${validEvent.id}`, validEvent.id);
+        }
 
+        if (this.strict) {
+            if (getEventHash(validEvent) !== validEvent.id) {
+                throw new IntegrityError(`Event id does not match its content: ${validEvent.id}`, validEvent.id);
+            }
+            if (!verifyEvent(validEvent)) {
+                throw new IntegrityError(`Invalid signature for event ${validEvent.id}`, validEvent.id);
+            }
             return validEvent;
-        } catch (error) {
-            throw new ValidationError(`Failed to unpack event: ${error.message}`);
         }
+
+        // Lenient mode: verify when possible, but only warn
+        if (validEvent.pubkey && validEvent.sig && validEvent.content && validEvent.id.length === 64) {
+            try {
+                if (!verifyEvent(validEvent)) {
+                    logger.warn(`Signature verification failed for ${validEvent.id}`);
+                }
+            } catch {
+                // Skip verification if nostr-tools throws (e.g. malformed but passed zod)
+            }
+        }
+
+        return validEvent;
     }
 
     /**
@@ -1,5 +1,9 @@
 import { z } from 'zod';
 import { Limits } from '../Constants.js';
+import { summarizeTags } from '../utils/FilterUtils.js';
+import { ValidationError } from '../utils/Errors.js';
+
+const TagSummarySchema = z.array(z.string()).nullable().optional();
 
 /**
  * Feed Index Schema.
@@ -10,22 +14,40 @@ const FeedIndexSchema = z.object({
         id: z.string().min(1),
         magnet: z.string().startsWith('magnet:'),
         ts: z.number(),
-        kind: z.number().optional()
-    }))
+        kind: z.number().optional(),
+        tags: z.object({
+            e: TagSummarySchema,
+            p: TagSummarySchema,
+            t: TagSummarySchema,
+            d: TagSummarySchema
+        }).optional()
+    })),
+    prev: z.string().startsWith('magnet:').optional(),
+    merged: z.array(z.string().startsWith('magnet:')).optional()
 });
 
 /**
  * FeedIndex manages the list of events in a user's P2P feed.
  * It handles the data structure serialized into the 'index.json' file.
+ *
+ * When the index overflows, the oldest items are evicted in pages into
+ * `overflow` so the FeedManager can publish them as immutable archive
+ * torrents; `prev` then links to the newest archive page. A page may also
+ * list further chains in `merged`, joined in when two devices' histories meet.
  */
 export class FeedIndex {
     /**
      * @param {number} [limit=Limits.FEED_INDEX_LIMIT] - Maximum number of events to keep in the index.
+     * @param {number} [pageSize] - Items evicted per archive page (defaults to half the limit, capped by Limits.FEED_ARCHIVE_PAGE_SIZE).
      */
-    constructor(limit = Limits.FEED_INDEX_LIMIT) {
+    constructor(limit = Limits.FEED_INDEX_LIMIT, pageSize = null) {
         this.limit = limit;
-        this.items = []; // Array of { id, magnet, ts, kind }
+        this.pageSize = pageSize || Math.min(Limits.FEED_ARCHIVE_PAGE_SIZE, Math.max(1, Math.floor(limit / 2)));
+        this.items = []; // Array of { id, magnet, ts, kind, tags? }
         this.updatedAt = 0;
+        this.prev = null; // Magnet of the newest archive page
+        this.merged = []; // Newest pages of other archive chains joined at this page
+        this.overflow = []; // Evicted pages awaiting archival, oldest first
     }
 
     /**
@@ -41,7 +63,9 @@ export class FeedIndex {
             id: event.id,
             magnet: magnetUri,
             ts: event.created_at,
-            kind: event.kind
+            kind: event.kind,
+            // Lets readers apply #e/#p/#t/#d filters without fetching the event
+            tags: summarizeTags(event)
         };
 
         // Add to front
@@ -50,37 +74,86 @@ export class FeedIndex {
         // Sort by timestamp descending (just in case)
         this.items.sort((a, b) => b.ts - a.ts);
 
-        // Trim to limit
-        if (this.items.length > this.limit) {
-            this.items = this.items.slice(0, this.limit);
+        // Page out anything beyond the limit
+        this._evict();
+        this.updatedAt = Math.floor(Date.now() / 1000);
+    }
+
+    /**
+     * Merges items from another copy of the index (e.g. published by another
+     * device). Union by event id, ordered newest first; items beyond the limit
+     * are paged out like in add().
+     * @param {Array<object>} items - Items from the other index.
+     */
+    merge(items) {
+        const byId = new Map(this.items.map(i => [i.id, i]));
+        for (const item of items) {
+            if (!byId.has(item.id)) byId.set(item.id, item);
         }
 
+        this.items = Array.from(byId.values())
+            .sort((a, b) => b.ts - a.ts || (a.id < b.id ? -1 : 1));
+        this._evict();
         this.updatedAt = Math.floor(Date.now() / 1000);
     }
 
+    /**
+     * Moves the oldest items into `overflow` pages until the index fits its limit.
+     */
+    _evict() {
+        while (this.items.length > this.limit) {
+            const size = Math.min(this.pageSize, this.items.length);
+            this.overflow.push(this.items.splice(this.items.length - size, size));
+        }
+    }
+
     /**
      * Serializes the index to a Buffer.
      * @returns {Buffer}
      */
     toBuffer() {
-        const data = {
+        return Buffer.from(JSON.stringify(this.toState()));
+    }
+
+    /**
+     * Returns the plain serializable form of the index.
+     * @returns {object} - { updated_at, items, prev?, merged? }
+     */
+    toState() {
+        const state = {
             updated_at: this.updatedAt,
             items: this.items
         };
-        return Buffer.from(JSON.stringify(data));
+        if (this.prev) state.prev = this.prev;
+        if (this.merged.length > 0) state.merged = this.merged;
+        return state;
+    }
+
+    /**
+     * Loads the index from its plain serializable form.
+     * @param {object} rawData - { updated_at, items, prev?, merged? }
+     * @throws {ZodError} If the data does not match the schema.
+     */
+    loadState(rawData) {
+        const data = FeedIndexSchema.parse(rawData);
+        this.items = data.items;
+        this.updatedAt = data.updated_at;
+        this.prev = data.prev || null;
+        this.merged = data.merged || [];
     }
 
     /**
      * Loads the index from a Buffer.
      * @param {Buffer} buffer 
+     * @param {object} [options={}]
+     * @param {boolean} [options.strict=false] - Throw instead of starting fresh when the buffer is unreadable.
+     * @throws {ValidationError} In strict mode, if the buffer is not a valid index.
      */
-    loadFromBuffer(buffer) {
+    loadFromBuffer(buffer, { strict = false } = {}) {
         try {
-            const rawData = JSON.parse(buffer.toString());
-            const data = FeedIndexSchema.parse(rawData);
-            this.items = data.items;
-            this.updatedAt = data.updated_at;
+            this.loadState(JSON.parse(buffer.toString()));
         } catch (error) {
+            if (strict) throw new ValidationError(`Invalid feed index: ${error.message}`);
             console.warn("FeedIndex: Failed to load from buffer", error.message);
             // Start fresh if corrupted
             this.items = [];
@@ -2,20 +2,155 @@ import nacl from 'tweetnacl';
 import * as magnet from 'magnet-uri';
 import { bytesToHex, hexToBytes } from 'nostr-tools/utils';
 import { FeedIndex } from './FeedIndex.js';
+import { IdentityManager } from './IdentityManager.js';
 import { logger } from '../utils/Logger.js';
-import { TransportError } from '../utils/Errors.js';
+import { TransportError, ConflictError } from '../utils/Errors.js';
 import { Kinds, Identifiers, Limits } from '../Constants.js';
 
+// KRPC errors for BEP-44 "CAS mismatch" and "sequence number less than current"
+const CONFLICT_CODES = [301, 302];
+
 /**
  * FeedManager handles the P2P Discovery "Feed".
  * It interacts with the DHT to publish/resolve mutable records (BEP-44).
  */
 export class FeedManager {
+    /**
+     * @param {BitTorrentTransport} btTransport
+     * @param {IdentityManager} identityManager
+     * @param {object} [options={}]
+     * @param {number} [options.initialSeq=1] - First BEP-44 sequence number.
+     * @param {number} [options.indexLimit] - Maximum items in the head index.
+     * @param {IFeedStore} [options.store] - Persists index, seq and last infohash across restarts.
+     * @param {number} [options.batchWindowMs=0] - Collects updates for this long before publishing.
+     *        Updates arriving while a publish is in flight are always coalesced into the next one.
+     * @param {number} [options.republishIntervalMs=Limits.REPUBLISH_INTERVAL_MS] - How often the
+     *        current records are re-put to the DHT so they do not expire. `0` disables republishing.
+     */
     constructor(btTransport, identityManager, options = {}) {
         this.bt = btTransport;
         this.identity = identityManager;
         this.seq = options.initialSeq || 1; 
+        this.lastSeq = null; // Seq of the record we last saw on the DHT (BEP-44 cas)
         this.index = new FeedIndex(options.indexLimit || Limits.FEED_INDEX_LIMIT);
+        this.store = options.store || null;
+        this.restorePromise = null;
+        this.legacySeq = null; // Sequence for the legacy key during migration
+        this.lastInfoHash = null;
+        this.batchWindowMs = options.batchWindowMs || 0;
+        this.pendingFlush = null; // Batch collecting updates, not yet publishing
+        this.activeFlush = null; // Batch currently publishing
+        this.republishIntervalMs = options.republishIntervalMs ?? Limits.REPUBLISH_INTERVAL_MS;
+        this.republishTimer = null;
+        this.records = new Map(); // pubkey(hex) -> signed { k, seq, v, sig } we keep alive
+        this.lastPutAt = null; // ms timestamp of the last successful put for the active key
+    }
+
+    /**
+     * Restores feed state before the first write.
+     * Uses the local store when it has state for this key; otherwise rehydrates
+     * the last published index from the DHT pointer so it is not overwritten.
+     * A migrating identity without state of its own continues the legacy key's feed.
+     * Safe to call repeatedly; a failed restore is retried on the next call.
+     *
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        if (!this.restorePromise) {
+            this.restorePromise = this._restore().catch((error) => {
+                this.restorePromise = null;
+                throw error;
+            });
+        }
+        return this.restorePromise;
+    }
+
+    async _restore() {
+        const pubkey = this.identity.getPublicKey();
+
+        const state = this.store ? await this.store.load(pubkey) : null;
+        if (state) {
+            this.index.loadState(state.index);
+            this.seq = Math.max(this.seq, state.seq || 1);
+            this.lastSeq = state.lastSeq ?? null;
+            this.lastInfoHash = state.lastInfoHash || null;
+            // Restarting a migration must not extend its grace period, and a
+            // state saved without one means there was nothing to migrate
+            if (state.legacyGraceUntil && this.identity.legacy) {
+                this.identity.legacy.graceUntil = Math.min(this.identity.legacy.graceUntil, state.legacyGraceUntil);
+            } else if (this.identity.legacy) {
+                this._skipMigration();
+            }
+            logger.log(`Restored feed state (${this.index.items.length} items, seq ${this.seq}).`);
+            this.startRepublishing();
+            return;
+        }
+
+        const legacy = this.identity.getActiveLegacy();
+        const legacyPubkey = legacy ? legacy.getPublicKey() : null;
+        const legacyState = legacy && this.store ? await this.store.load(legacyPubkey) : null;
+        if (legacyState) {
+            this.index.loadState(legacyState.index);
+            this.lastInfoHash = legacyState.lastInfoHash || null;
+            logger.log(`Migrated feed state from legacy key ${legacyPubkey.substring(0,8)} (${this.index.items.length} items).`);
+            await this._persist();
+            this.startRepublishing();
+            return;
+        }
+
+        let record = await this.resolveFeedPointer(pubkey);
+        const legacyRecord = legacy ? await this.resolveFeedPointer(legacyPubkey) : null;
+        if (legacyRecord && legacyRecord.infoHash) {
+            this.legacySeq = legacyRecord.seq + 1;
+        } else if (this.identity.legacy) {
+            this._skipMigration();
+        }
+        if (record && record.infoHash) {
+            this.seq = Math.max(this.seq, record.seq + 1);
+            this.lastSeq = record.seq;
+        } else {
+            record = legacyRecord;
+        }
+        if (!record || !record.infoHash) return;
+
+        try {
+            const buffer = await this.bt.fetch(magnet.encode({ infoHash: record.infoHash }));
+            this.index.loadFromBuffer(buffer, { strict: true });
+            this.lastInfoHash = record.infoHash;
+        } catch (error) {
+            throw new TransportError(`Failed to rehydrate feed index from DHT: ${error.message}`, "bittorrent");
+        }
+        logger.log(`Rehydrated feed index from DHT (${this.index.items.length} items, seq ${this.seq}).`);
+        await this._persist();
+        this.startRepublishing();
+    }
+
+    /**
+     * Drops the legacy key of a migration that has no legacy feed behind it,
+     * so pointers are not mirrored to an address nobody follows.
+     */
+    _skipMigration() {
+        logger.log(`No feed under legacy key ${this.identity.legacy.identity.getPublicKey().substring(0,8)}, skipping migration.`);
+        this.identity.legacy = null;
+    }
+
+    /**
+     * Writes the current feed state to the configured store.
+     * @returns {Promise<void>}
+     */
+    async _persist() {
+        if (!this.store) return;
+        try {
+            await this.store.save(this.identity.getPublicKey(), {
+                seq: this.seq,
+                lastSeq: this.lastSeq,
+                lastInfoHash: this.lastInfoHash,
+                legacyGraceUntil: this.identity.legacy ? this.identity.legacy.graceUntil : null,
+                index: this.index.toState()
+            });
+        } catch (error) {
+            logger.warn("Failed to persist feed state.", error.message);
+        }
     }
 
     async syncSequence() {
@@ -24,6 +159,7 @@ export class FeedManager {
             const record = await this.resolveFeedPointer(pubkey);
             if (record && record.seq !== undefined) {
                 this.seq = record.seq + 1;
+                this.lastSeq = record.seq;
                 logger.log(`Synced sequence number from DHT: ${this.seq}`);
             }
         } catch (error) {
@@ -39,18 +175,11 @@ export class FeedManager {
      * @param {function} [signNostr] - Optional callback to sign a Nostr discovery event.
      */
     async updateFeed(event, magnetUri, signNostr = null) {
+        await this.restore();
         this.index.add(event, magnetUri);
-        const buffer = this.index.toBuffer();
-        const indexMagnet = await this.bt.publish({ buffer, filename: 'index.json' });
-        
-        const parsed = magnet.decode(indexMagnet);
-        if (!parsed || !parsed.infoHash) {
-            throw new TransportError(`Invalid magnet URI from transport: ${indexMagnet}`, "bittorrent");
-        }
-        const infoHash = parsed.infoHash;
 
-        // 1. Update DHT (P2P Discovery)
-        await this.publishFeedPointer(infoHash);
+        // 1. Update DHT (P2P Discovery), batched with concurrent updates
+        const indexMagnet = await this._scheduleFlush();
 
         // 2. Update Nostr Relay (Bridge Discovery for Browsers)
         if (signNostr && this.bt.announce.length > 0) {
@@ -68,45 +197,457 @@ export class FeedManager {
         return indexMagnet;
     }
 
+    /**
+     * Joins the next batch, starting one if none is collecting.
+     * A batch waits for the in-flight publish and the batch window, then
+     * publishes every update added so far with one torrent and one DHT put.
+     *
+     * @returns {Promise<string>} - The index magnet covering this update.
+     */
+    _scheduleFlush() {
+        if (this.pendingFlush) return this.pendingFlush;
+
+        const previous = this.activeFlush;
+        this.pendingFlush = (async () => {
+            // Always yields, so `pendingFlush` is assigned before it is cleared below
+            await Promise.resolve(previous).catch(() => {});
+            if (this.batchWindowMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.batchWindowMs));
+            }
+            this.pendingFlush = null;
+            this.activeFlush = this._flush();
+            return this.activeFlush;
+        })();
+        return this.pendingFlush;
+    }
+
+    /**
+     * Publishes the current index and points the DHT record at it, merging
+     * with other devices on CAS conflicts. Superseded index torrents are
+     * removed once the new pointer is in place.
+     *
+     * @returns {Promise<string>} - The new index magnet.
+     */
+    async _flush() {
+        const previousInfoHash = this.lastInfoHash;
+        const superseded = [];
+        let indexMagnet;
+
+        for (let attempt = 0; ; attempt++) {
+            indexMagnet = await this._publishIndex();
+            try {
+                await this.publishFeedPointer(magnet.decode(indexMagnet).infoHash);
+                break;
+            } catch (error) {
+                superseded.push(indexMagnet);
+                if (!(error instanceof ConflictError) || attempt >= Limits.FEED_CAS_RETRIES) {
+                    await this._unpublishAll(superseded);
+                    throw error;
+                }
+                logger.warn(`Feed pointer changed remotely (${error.code}), merging and retrying...`);
+                await this.mergeRemote();
+            }
+        }
+        await this._persist();
+
+        if (previousInfoHash && previousInfoHash !== this.lastInfoHash) {
+            superseded.push(magnet.encode({ infoHash: previousInfoHash }));
+        }
+        await this._unpublishAll(superseded);
+        return indexMagnet;
+    }
+
+    /**
+     * Stops seeding index torrents that are no longer referenced.
+     * @param {Array<string>} magnets
+     */
+    async _unpublishAll(magnets) {
+        if (typeof this.bt.unpublish !== 'function') return;
+        for (const uri of magnets) {
+            try {
+                await this.bt.unpublish(uri);
+            } catch (error) {
+                logger.warn("Failed to remove superseded index torrent.", error.message);
+            }
+        }
+    }
+
+    /**
+     * Seeds the current index as `index.json`, archiving overflow pages first.
+     * @returns {Promise<string>} - The index magnet URI.
+     */
+    async _publishIndex() {
+        await this._archiveOverflow();
+        const buffer = this.index.toBuffer();
+        const indexMagnet = await this.bt.publish({ buffer, filename: 'index.json' });
+
+        const parsed = magnet.decode(indexMagnet);
+        if (!parsed || !parsed.infoHash) {
+            throw new TransportError(`Invalid magnet URI from transport: ${indexMagnet}`, "bittorrent");
+        }
+        return indexMagnet;
+    }
+
+    /**
+     * Publishes items evicted from the head index as immutable archive pages
+     * (`archive.json`), oldest first, each linking to the previous page.
+     * The head's `prev` ends up pointing at the newest page.
+     *
+     * @returns {Promise<void>}
+     */
+    async _archiveOverflow() {
+        while (this.index.overflow.length > 0) {
+            const page = new FeedIndex(this.index.overflow[0].length);
+            page.items = this.index.overflow[0];
+            page.prev = this.index.prev;
+            page.updatedAt = Math.floor(Date.now() / 1000);
+
+            const pageMagnet = await this.bt.publish({ buffer: page.toBuffer(), filename: 'archive.json' });
+            this.index.overflow.shift();
+            this.index.prev = pageMagnet;
+            logger.log(`Archived ${page.items.length} feed items.`);
+        }
+    }
+
+    /**
+     * Publishes an empty archive page that links our archive chain (`prev`)
+     * and another device's (`merged`), and makes it the newest page.
+     * @param {string} otherPrev - Newest archive page of the other chain.
+     * @returns {Promise<void>}
+     */
+    async _joinArchive(otherPrev) {
+        const page = new FeedIndex();
+        page.prev = this.index.prev;
+        page.merged = [otherPrev];
+        page.updatedAt = Math.floor(Date.now() / 1000);
+
+        this.index.prev = await this.bt.publish({ buffer: page.toBuffer(), filename: 'archive.json' });
+        logger.log("Joined the remote archive chain.");
+    }
+
+    /**
+     * Fetches the index currently referenced by our DHT record and merges it
+     * into the local one (union by event id, newest first). Used when another
+     * device sharing this transport key published in the meantime.
+     *
+     * @returns {Promise<void>}
+     */
+    async mergeRemote() {
+        const record = await this.resolveFeedPointer(this.identity.getPublicKey());
+        if (!record) return;
+
+        if (record.infoHash && record.infoHash !== this.lastInfoHash) {
+            // An unreadable remote index throws before lastSeq moves, so the
+            // next put still conflicts instead of replacing the remote items
+            const buffer = await this.bt.fetch(magnet.encode({ infoHash: record.infoHash }));
+            const remote = new FeedIndex(this.index.limit);
+            remote.loadFromBuffer(buffer, { strict: true });
+            this.index.merge(remote.items);
+            // Keep the remote archive chain reachable next to ours
+            if (remote.prev && remote.prev !== this.index.prev) {
+                if (this.index.prev) await this._joinArchive(remote.prev);
+                else this.index.prev = remote.prev;
+            }
+            logger.log(`Merged ${remote.items.length} remote feed items (seq ${record.seq}).`);
+        }
+        this.lastSeq = record.seq;
+        this.seq = Math.max(this.seq, record.seq + 1);
+    }
+
     async publishFeedPointer(infoHash, retries = 3) {
         const dht = this.bt.getDHT();
         if (!dht) throw new TransportError("DHT not available.", "bittorrent");
 
+        const hash = await this._putRecord(this._buildRecordValue(infoHash), retries);
+        logger.log(`Updated DHT Pointer. Hash: ${bytesToHex(hash)}`);
+        this.lastInfoHash = infoHash;
+        await this._mirrorLegacyPointer(infoHash);
+        return this.identity.getPublicKey();
+    }
+
+    /**
+     * Puts a record under the active transport key with BEP-44 `cas` set to
+     * the last seen sequence number, retrying transient failures.
+     * @param {object} value - The record value.
+     * @param {number} [retries=3]
+     * @returns {Promise<Uint8Array>} - The DHT target hash.
+     * @throws {ConflictError} If another writer replaced the record first (301/302).
+     */
+    async _putRecord(value, retries = 3) {
+        const dht = this.bt.getDHT();
         const keypair = this.identity.getKeypair();
+        const seq = this.seq;
 
         const attempt = (remaining) => {
             return new Promise((resolve, reject) => {
                 const opts = {
                     k: keypair.publicKey,
-                    seq: this.seq++,
-                    v: {
-                        ih: hexToBytes(infoHash),
-                        ts: Math.floor(Date.now() / 1000),
-                        npk: this.identity.nostrPubkey ? hexToBytes(this.identity.nostrPubkey) : undefined
-                    },
+                    seq,
+                    v: value,
                     sign: (buf) => {
                         // Use tweetnacl for synchronous Ed25519 signing (BEP-44 requirement)
-                        return nacl.sign.detached(buf, keypair.secretKey);
+                        opts.sig = nacl.sign.detached(buf, keypair.secretKey);
+                        return opts.sig;
                     }
                 };
+                // BEP-44 compare-and-swap: only replace the record we last saw
+                if (this.lastSeq !== null) opts.cas = this.lastSeq;
 
                 dht.put(opts, (err, hash) => {
                     if (err) {
-                        if (remaining > 0) {
+                        if (CONFLICT_CODES.includes(err.code)) {
+                            reject(new ConflictError(err.message, err.code));
+                        } else if (remaining > 0) {
                             logger.warn(`DHT PUT failed, retrying... (${remaining} left)`);
                             setTimeout(() => resolve(attempt(remaining - 1)), 2000);
                         } else {
                             reject(new TransportError(err.message, "bittorrent"));
                         }
                     } else {
-                        logger.log(`Updated DHT Pointer. Hash: ${bytesToHex(hash)}`);
-                        resolve(bytesToHex(keypair.publicKey));
+                        this._trackRecord(opts);
+                        resolve(hash);
                     }
                 });
             });
         };
 
-        return await attempt(retries);
+        const hash = await attempt(retries);
+        this.lastSeq = seq;
+        this.seq = seq + 1;
+        return hash;
+    }
+
+    /**
+     * Rotates the feed to a successor transport key.
+     * Writes a final "moved to" record under the current key, switches to the
+     * successor and republishes the latest index pointer under it.
+     *
+     * @param {IdentityManager} successor - The new (delegated) identity.
+     * @param {object} rotation - Statement from IdentityManager.rotate().
+     * @param {function} [signNostr] - Optional callback to sign the relay announcement.
+     * @returns {Promise<object|null>} - The signed rotation event, if signNostr was given.
+     * @throws {ConflictError} If another device updated the record first; the current key stays active.
+     */
+    async rotateKey(successor, rotation, signNostr = null) {
+        await this._publishRotationRecord(rotation);
+
+        this.identity = successor;
+        this.seq = 1;
+        this.lastSeq = null;
+        this.legacySeq = null;
+        await this.syncSequence();
+        if (this.lastInfoHash) {
+            await this.publishFeedPointer(this.lastInfoHash);
+        }
+        await this._persist();
+
+        return signNostr ? await signNostr(IdentityManager.createRotationEvent(rotation)) : null;
+    }
+
+    /**
+     * Revokes the current transport key. The feed stops resolving until a new
+     * identity is installed.
+     *
+     * @param {object} rotation - Statement from IdentityManager.revoke().
+     * @param {function} [signNostr] - Optional callback to sign the relay announcement.
+     * @returns {Promise<object|null>} - The signed revocation event, if signNostr was given.
+     * @throws {ConflictError} If another device updated the record first.
+     */
+    async revokeKey(rotation, signNostr = null) {
+        await this._publishRotationRecord(rotation);
+        return signNostr ? await signNostr(IdentityManager.createRotationEvent(rotation)) : null;
+    }
+
+    /**
+     * Writes the terminal BEP-44 record for a retired key: `mv` names the
+     * successor (or `rv` marks a revocation), `rs`/`rt` carry the Nostr-signed statement
+     * and `ds`/`dx` the delegation proving that key owned this one.
+     * @param {object} rotation
+     */
+    async _publishRotationRecord(rotation) {
+        const dht = this.bt.getDHT();
+        if (!dht) throw new TransportError("DHT not available.", "bittorrent");
+        if (rotation.from !== this.identity.getPublicKey()) {
+            throw new TransportError("Rotation does not match the active transport key.", "core");
+        }
+
+        const value = {
+            ts: Math.floor(Date.now() / 1000),
+            npk: hexToBytes(rotation.nostrPubkey),
+            rs: hexToBytes(rotation.sig),
+            rt: rotation.createdAt,
+            ds: hexToBytes(rotation.delegation.sig),
+            dx: rotation.delegation.expiresAt
+        };
+        if (rotation.to) value.mv = hexToBytes(rotation.to);
+        else value.rv = 1;
+
+        await this._putRecord(value);
+        logger.log(`Published ${rotation.to ? 'rotation' : 'revocation'} record for ${rotation.from.substring(0,8)}.`);
+    }
+
+    /**
+     * During a key migration, re-publishes the pointer under the legacy
+     * transport key so followers that still resolve the old key keep working.
+     * Failures are logged but never block the primary update.
+     * @param {string} infoHash
+     */
+    async _mirrorLegacyPointer(infoHash) {
+        const legacy = this.identity.getActiveLegacy();
+        if (!legacy) return;
+
+        try {
+            if (this.legacySeq === null) {
+                const record = await this.resolveFeedPointer(legacy.getPublicKey());
+                this.legacySeq = record && record.seq !== undefined ? record.seq + 1 : 1;
+            }
+
+            const dht = this.bt.getDHT();
+            const keypair = legacy.getKeypair();
+            const opts = {
+                k: keypair.publicKey,
+                seq: this.legacySeq++,
+                v: this._buildRecordValue(infoHash, legacy),
+                sign: (buf) => (opts.sig = nacl.sign.detached(buf, keypair.secretKey))
+            };
+            await new Promise((resolve, reject) => {
+                dht.put(opts, (err) => err ? reject(err) : resolve());
+            });
+            this._trackRecord(opts);
+            logger.log(`Mirrored DHT Pointer to legacy key ${legacy.getPublicKey().substring(0,8)}.`);
+        } catch (error) {
+            logger.warn("Failed to mirror pointer to legacy key.", error.message);
+        }
+    }
+
+    /**
+     * Remembers a successfully stored record so the scheduler can re-put it verbatim.
+     * @param {object} opts - The put options, with `sig` captured by the sign callback.
+     */
+    _trackRecord(opts) {
+        const pubkey = bytesToHex(opts.k);
+        if (opts.sig) {
+            this.records.set(pubkey, { k: opts.k, seq: opts.seq, v: opts.v, sig: Buffer.from(opts.sig) });
+        }
+        if (pubkey === this.identity.getPublicKey()) this.lastPutAt = Date.now();
+        this.startRepublishing();
+    }
+
+    /**
+     * Starts re-putting the current records every `republishIntervalMs`.
+     * Called automatically after the first successful put or restore.
+     */
+    startRepublishing() {
+        if (this.republishTimer || !this.republishIntervalMs) return;
+        this.republishTimer = setInterval(() => {
+            this.republish().catch(error => logger.warn("Republish failed.", error.message));
+        }, this.republishIntervalMs);
+        // Never keep the process alive just to refresh DHT records
+        if (this.republishTimer.unref) this.republishTimer.unref();
+    }
+
+    /**
+     * Stops the republish scheduler.
+     */
+    stopRepublishing() {
+        if (this.republishTimer) clearInterval(this.republishTimer);
+        this.republishTimer = null;
+    }
+
+    /**
+     * Re-puts every tracked record with its original seq and signature,
+     * refreshing it on DHT nodes without bumping the sequence number.
+     * Nodes that already hold the record (or a newer one) answer 302, which
+     * still means the pointer is alive.
+     *
+     * @returns {Promise<number>} - Number of records refreshed.
+     */
+    async republish() {
+        const dht = this.bt.getDHT();
+        if (!dht) return 0;
+        if (!this.records.has(this.identity.getPublicKey())) await this._adoptStoredRecord(dht);
+        this._pruneRecords();
+
+        let refreshed = 0;
+        for (const [pubkey, record] of this.records) {
+            try {
+                await new Promise((resolve, reject) => {
+                    dht.put({ ...record }, (err) => {
+                        if (err && err.code !== 302) reject(err);
+                        else resolve();
+                    });
+                });
+                refreshed++;
+                if (pubkey === this.identity.getPublicKey()) this.lastPutAt = Date.now();
+            } catch (error) {
+                logger.warn(`Failed to republish record for ${pubkey.substring(0, 8)}.`, error.message);
+            }
+        }
+        logger.log(`Republished ${refreshed}/${this.records.size} DHT records.`);
+        return refreshed;
+    }
+
+    /**
+     * Forgets records of keys we no longer speak for, so they are left to
+     * expire: the legacy key once its grace period is over, and retired keys
+     * once the delegation in their record has expired.
+     */
+    _pruneRecords() {
+        const active = this.identity.getPublicKey();
+        const legacy = this.identity.legacy ? this.identity.legacy.identity.getPublicKey() : null;
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const [pubkey, record] of this.records) {
+            if (pubkey === active) continue;
+            const graceOver = pubkey === legacy && !this.identity.getActiveLegacy();
+            const delegationExpired = typeof record.v.dx === 'number' && record.v.dx <= now;
+            if (graceOver || delegationExpired) {
+                this.records.delete(pubkey);
+                logger.log(`Stopped republishing the record for ${pubkey.substring(0, 8)}.`);
+            }
+        }
+    }
+
+    /**
+     * After a restart we hold no signed record yet; pick up the one still
+     * stored on the DHT (it is self-certifying) so it can be kept alive.
+     * @param {object} dht
+     */
+    async _adoptStoredRecord(dht) {
+        const target = Buffer.from(hexToBytes(this.identity.getPublicKey()));
+        const res = await new Promise(resolve => dht.get(target, (err, value) => resolve(err ? null : value)));
+        if (res && res.v && res.k && res.sig) {
+            this.records.set(this.identity.getPublicKey(), { k: res.k, seq: res.seq, v: res.v, sig: res.sig });
+        }
+    }
+
+    /**
+     * Stops background work (republish timer). Pending feed updates still complete.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        this.stopRepublishing();
+    }
+
+    /**
+     * Builds the BEP-44 value dictionary. The Nostr pubkey is only advertised
+     * together with its delegation signature (`ds`) and expiry (`dx`).
+     * @param {string} infoHash - Hex infohash of the feed index torrent.
+     * @param {IdentityManager} [identity] - Identity whose delegation is embedded.
+     * @returns {object}
+     */
+    _buildRecordValue(infoHash, identity = this.identity) {
+        const value = {
+            ih: hexToBytes(infoHash),
+            ts: Math.floor(Date.now() / 1000)
+        };
+        const delegation = identity.delegation;
+        if (delegation) {
+            value.npk = hexToBytes(delegation.nostrPubkey);
+            value.ds = hexToBytes(delegation.sig);
+            value.dx = delegation.expiresAt;
+        }
+        return value;
     }
 
     async resolveFeedPointer(transportPubkey) {
@@ -127,11 +668,25 @@ export class FeedManager {
                 if (!res || !res.v) return resolve(null);
 
                 try {
-                    const infoHash = bytesToHex(res.v.ih);
                     const ts = res.v.ts;
                     const seq = res.seq;
                     const nostrPubkey = res.v.npk ? bytesToHex(res.v.npk) : null;
-                    resolve({ infoHash, ts, seq, nostrPubkey });
+                    const delegation = nostrPubkey && res.v.ds
+                        ? { nostrPubkey, sig: bytesToHex(res.v.ds), expiresAt: res.v.dx }
+                        : null;
+                    if (res.v.rs) {
+                        const rotation = {
+                            nostrPubkey,
+                            to: res.v.mv ? bytesToHex(res.v.mv) : null,
+                            sig: bytesToHex(res.v.rs),
+                            createdAt: res.v.rt,
+                            delegation
+                        };
+                        return resolve({ infoHash: null, ts, seq, nostrPubkey, delegation: null, rotation });
+                    }
+
+                    const infoHash = bytesToHex(res.v.ih);
+                    resolve({ infoHash, ts, seq, nostrPubkey, delegation, rotation: null });
                 } catch {
                     reject(new TransportError("Invalid record format from DHT", "bittorrent"));
                 }
@@ -1,8 +1,9 @@
 import { LRUCache } from 'lru-cache';
 import * as magnet from 'magnet-uri';
 import { awaitEventWithTimeout } from '../utils/AsyncUtils.js';
+import { verifyDelegation, verifyRotation, getRotationFromEvent } from '../utils/DelegationUtils.js';
 import { logger } from '../utils/Logger.js';
-import { Kinds, Identifiers } from '../Constants.js';
+import { Kinds, Identifiers, Limits } from '../Constants.js';
 
 /**
  * FeedTracker handles the discovery of P2P feed magnets.
@@ -16,6 +17,9 @@ export class FeedTracker {
     constructor(transportManager) {
         this.manager = transportManager;
         this.cache = new LRUCache({ max: 1000 }); // transportPubkey -> latestMagnet
+        this.rotations = new LRUCache({ max: 1000 }); // retiredTransportPubkey -> successor (null if revoked)
+        this.owners = new LRUCache({ max: 1000 }); // transportPubkey -> Nostr pubkey that verifiably delegated it
+        this.rotationChecks = new LRUCache({ max: 1000, ttl: Limits.ROTATION_CHECK_TTL_MS }); // transportPubkey -> relay lookup
     }
 
     /**
@@ -23,33 +27,49 @@ export class FeedTracker {
      * Strategy:
      * 1. Try DHT (if available/Node.js).
      * 2. Try Nostr Relay (Kind 30078) as fallback/Browser bridge.
+     * Rotated keys are followed to their successor; revoked keys resolve to null.
+     * Relays are asked for a rotation first, since a compromised key can
+     * overwrite the statement in its own DHT slot.
      * 
      * @param {string} transportPubkey - The P2P address.
      * @param {string} [nostrPubkey] - Optional Nostr identity to help relay lookup.
+     * @param {number} [hops=0] - Rotation hops already followed (internal).
+     * @param {object} [options={}]
+     * @param {boolean} [options.fresh=false] - Skip the magnet cache (for polling); the result is still cached.
      * @returns {Promise<string|null>}
      */
-    async discover(transportPubkey, nostrPubkey = null) {
-        if (this.cache.has(transportPubkey)) return this.cache.get(transportPubkey);
+    async discover(transportPubkey, nostrPubkey = null, hops = 0, options = {}) {
+        if (this.rotations.has(transportPubkey)) return this._followRotation(transportPubkey, nostrPubkey, hops, options);
+        if (!options.fresh && this.cache.has(transportPubkey)) return this.cache.get(transportPubkey);
+
+        await this.checkRelayRotation(transportPubkey, nostrPubkey);
+        if (this.rotations.has(transportPubkey)) return this._followRotation(transportPubkey, nostrPubkey, hops, options);
 
         logger.log(`Discovering magnet for ${transportPubkey.substring(0,8)}...`);
 
         let magnetUri = null;
+        let ptr = null;
 
         // 1. Try DHT (Safely)
         try {
             const dht = this.manager.transport.bt.getDHT();
             if (dht && this.manager.feedManager) {
-                const ptr = await this.manager.feedManager.resolveFeedPointer(transportPubkey);
-                if (ptr && ptr.infoHash) {
-                    magnetUri = magnet.encode({
-                        infoHash: ptr.infoHash
-                    });
-                }
+                ptr = await this.manager.feedManager.resolveFeedPointer(transportPubkey);
             }
         } catch {
             logger.log("DHT path not available, using Relay Bridge.");
         }
 
+        if (ptr && ptr.rotation) {
+            if (this.applyRotation(transportPubkey, ptr.rotation, nostrPubkey)) {
+                return this._followRotation(transportPubkey, nostrPubkey, hops, options);
+            }
+        } else if (ptr && ptr.infoHash && this.isAuthorized(transportPubkey, ptr, nostrPubkey)) {
+            magnetUri = magnet.encode({
+                infoHash: ptr.infoHash
+            });
+        }
+
         // 2. Try Nostr Relay Bridge
         if (!magnetUri && this.manager.transport.nostr && nostrPubkey) {
             const filter = {
@@ -88,4 +108,123 @@ export class FeedTracker {
 
         return null;
     }
+
+    /**
+     * Records a verified rotation or revocation of a transport key.
+     * Only the key's owner may retire it: the statement must be signed by the
+     * expected identity, or by the one learned from a verified DHT record.
+     * Anyone holding the transport key can delegate it to their own Nostr key,
+     * so the delegation carried by the statement is not proof of ownership.
+     *
+     * @param {string} fromPubkey - The retired transport key.
+     * @param {object} rotation - { nostrPubkey, to, sig, createdAt, delegation }
+     * @param {string} [nostrPubkey] - The identity the caller expects.
+     * @returns {boolean} - True if the statement verified and was applied.
+     */
+    applyRotation(fromPubkey, rotation, nostrPubkey = null) {
+        const owner = nostrPubkey || this.owners.get(fromPubkey);
+        if (!owner || rotation?.nostrPubkey !== owner || !verifyRotation(fromPubkey, rotation)) {
+            logger.warn(`Ignored invalid rotation statement for ${fromPubkey.substring(0,8)}.`);
+            return false;
+        }
+        this.rotations.set(fromPubkey, rotation.to || null);
+        if (rotation.to) this.owners.set(rotation.to, owner);
+        this.cache.delete(fromPubkey);
+        return true;
+    }
+
+    /**
+     * Applies a rotation/revocation event seen on a relay.
+     * @param {object} event - Kind 30078 event created by IdentityManager.createRotationEvent.
+     * @param {string} [nostrPubkey] - The identity expected to own the retired key.
+     * @returns {boolean}
+     */
+    applyRotationEvent(event, nostrPubkey = null) {
+        const rotation = getRotationFromEvent(event);
+        if (!rotation) return false;
+        return this.applyRotation(rotation.from, rotation, nostrPubkey);
+    }
+
+    /**
+     * Looks up a relay-announced rotation or revocation of a transport key and
+     * applies it if it verifies. Lookups are shared and cached for
+     * `Limits.ROTATION_CHECK_TTL_MS`, so polling does not query relays each time.
+     * Skipped while the key's owner is unknown, as no statement could be accepted.
+     * @param {string} transportPubkey
+     * @param {string} [nostrPubkey] - The identity expected to own the key.
+     * @returns {Promise<void>}
+     */
+    checkRelayRotation(transportPubkey, nostrPubkey = null) {
+        const nostr = this.manager.transport.nostr;
+        const owner = nostrPubkey || this.owners.get(transportPubkey);
+        if (!nostr || !owner) return Promise.resolve();
+        if (this.rotationChecks.has(transportPubkey)) return this.rotationChecks.get(transportPubkey);
+
+        const filter = {
+            authors: [owner],
+            kinds: [Kinds.Application],
+            '#d': [`${Identifiers.KEY_ROTATION}:${transportPubkey}`],
+            limit: 1
+        };
+        const lookup = awaitEventWithTimeout(nostr, filter, 5000, (e) =>
+            getRotationFromEvent(e)?.from === transportPubkey && this.applyRotationEvent(e, owner)
+        ).then(() => {});
+        this.rotationChecks.set(transportPubkey, lookup);
+        return lookup;
+    }
+
+    /**
+     * Follows known rotations to the current key for a transport pubkey.
+     * @param {string} transportPubkey
+     * @returns {string|null} - The latest key, or null if the chain ends in a revocation.
+     */
+    resolveSuccessor(transportPubkey) {
+        let current = transportPubkey;
+        for (let hops = 0; this.rotations.has(current); hops++) {
+            if (hops >= Limits.MAX_ROTATION_HOPS) return null;
+            current = this.rotations.get(current);
+            if (!current) return null;
+        }
+        return current;
+    }
+
+    _followRotation(transportPubkey, nostrPubkey, hops, options = {}) {
+        const successor = this.rotations.get(transportPubkey);
+        if (!successor) {
+            logger.warn(`Transport key ${transportPubkey.substring(0,8)} has been revoked.`);
+            return null;
+        }
+        if (hops >= Limits.MAX_ROTATION_HOPS) {
+            logger.warn(`Rotation chain for ${transportPubkey.substring(0,8)} is too long.`);
+            return null;
+        }
+        logger.log(`Following rotation ${transportPubkey.substring(0,8)} -> ${successor.substring(0,8)}.`);
+        return this.discover(successor, nostrPubkey, hops + 1, options);
+    }
+
+    /**
+     * Checks that a DHT record is allowed to speak for a Nostr identity.
+     * Records that claim (or are looked up for) a Nostr pubkey must carry a
+     * valid, unexpired delegation signed by that pubkey.
+     *
+     * @param {string} transportPubkey - The key the record was fetched from.
+     * @param {object} record - Result of FeedManager.resolveFeedPointer.
+     * @param {string} [nostrPubkey] - The identity the caller expects.
+     * @returns {boolean}
+     */
+    isAuthorized(transportPubkey, record, nostrPubkey = null) {
+        if (!record.nostrPubkey && !nostrPubkey) return true;
+
+        const delegation = record.delegation;
+        if (!delegation || !verifyDelegation(transportPubkey, delegation)) {
+            logger.warn(`Rejected DHT record for ${transportPubkey.substring(0,8)}: invalid delegation.`);
+            return false;
+        }
+        if (nostrPubkey && delegation.nostrPubkey !== nostrPubkey) {
+            logger.warn(`Rejected DHT record for ${transportPubkey.substring(0,8)}: delegated to a different Nostr key.`);
+            return false;
+        }
+        this.owners.set(transportPubkey, delegation.nostrPubkey);
+        return true;
+    }
 }
@@ -1,8 +1,13 @@
 import nacl from 'tweetnacl';
-import { generateSecretKey } from 'nostr-tools';
+import { hkdf } from '@noble/hashes/hkdf.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { utf8ToBytes } from '@noble/hashes/utils.js';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
 import { bytesToHex, hexToBytes } from 'nostr-tools/utils';
 import { logger } from '../utils/Logger.js';
-import { Kinds, Identifiers } from '../Constants.js';
+import { signDelegation, assertDelegation, verifyDelegation, signRotation } from '../utils/DelegationUtils.js';
+import { NostrBTError } from '../utils/Errors.js';
+import { Kinds, Identifiers, Limits } from '../Constants.js';
 
 /**
  * Manages the Identity for P2P Discovery.
@@ -18,6 +23,9 @@ export class IdentityManager {
         this.keypair = null;
         this.seed = null;
         this.nostrPubkey = nostrPubkey;
+        this.delegation = null; // { nostrPubkey, sig, expiresAt }
+        this.account = null;
+        this.legacy = null; // { identity, graceUntil } during migration
         if (secretKey) {
             this.load(secretKey);
         }
@@ -27,8 +35,87 @@ export class IdentityManager {
         this.nostrPubkey = pk;
     }
 
-    static fromNostrSecretKey(nostrSecretKey) {
-        return new IdentityManager(nostrSecretKey);
+    /**
+     * Derives the transport seed from a Nostr secret key via HKDF-SHA256.
+     * The protocol label keeps the Ed25519 seed independent of the secp256k1
+     * key, and the account index allows several transport keys per nsec.
+     *
+     * @param {Uint8Array|string} nostrSecretKey - 32-byte Nostr secret key.
+     * @param {number} [account=0] - Account index.
+     * @returns {Uint8Array} - 32-byte Ed25519 seed.
+     */
+    static deriveTransportSeed(nostrSecretKey, account = 0) {
+        if (!Number.isInteger(account) || account < 0) {
+            throw new NostrBTError(`Invalid account index: ${account}`);
+        }
+        const ikm = typeof nostrSecretKey === 'string' ? hexToBytes(nostrSecretKey) : nostrSecretKey;
+        const info = utf8ToBytes(`${Identifiers.TRANSPORT_KEY_LABEL}:${account}`);
+        return hkdf(sha256, ikm, utf8ToBytes(Identifiers.TRANSPORT_KEY_SALT), info, 32);
+    }
+
+    /**
+     * Deterministically recovers a transport identity from a Nostr secret key.
+     * @param {Uint8Array|string} nostrSecretKey - 32-byte Nostr secret key.
+     * @param {object} [options={}]
+     * @param {number} [options.account=0] - Account index.
+     * @returns {IdentityManager}
+     */
+    static fromNostrSecretKey(nostrSecretKey, options = {}) {
+        const account = options.account || 0;
+        const secretKey = typeof nostrSecretKey === 'string' ? hexToBytes(nostrSecretKey) : nostrSecretKey;
+        const identity = new IdentityManager(IdentityManager.deriveTransportSeed(secretKey, account), getPublicKey(secretKey));
+        identity.account = account;
+        return identity;
+    }
+
+    /**
+     * Recreates a pre-HKDF identity, which used the Nostr secret key directly
+     * as the Ed25519 seed. Only needed to keep old pointers alive while migrating.
+     * @param {Uint8Array|string} nostrSecretKey
+     * @returns {IdentityManager}
+     */
+    static fromLegacyNostrSecretKey(nostrSecretKey) {
+        const secretKey = typeof nostrSecretKey === 'string' ? hexToBytes(nostrSecretKey) : nostrSecretKey;
+        return new IdentityManager(secretKey, getPublicKey(secretKey));
+    }
+
+    /**
+     * Migrates a legacy identity to the derived one.
+     * Both keys get fresh delegations; the legacy delegation only lasts for the
+     * grace period, during which FeedManager mirrors every pointer to the old key.
+     * Safe to call for keys that never had a legacy feed: FeedManager drops
+     * `legacy` on restore when no legacy pointer or state exists.
+     *
+     * @param {Uint8Array|string} nostrSecretKey - 32-byte Nostr secret key.
+     * @param {object} [options={}]
+     * @param {number} [options.account=0] - Account index for the new key.
+     * @param {number} [options.graceUntil] - Unix time the old pointer stays resolvable until.
+     * @returns {Promise<IdentityManager>} - The derived identity, with `legacy` populated.
+     */
+    static async migrateFromLegacy(nostrSecretKey, options = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        const graceUntil = options.graceUntil || now + Limits.MIGRATION_GRACE_SEC;
+        const identity = IdentityManager.fromNostrSecretKey(nostrSecretKey, options);
+        const legacy = IdentityManager.fromLegacyNostrSecretKey(nostrSecretKey);
+
+        await identity.delegate(nostrSecretKey);
+        if (graceUntil > now) {
+            await legacy.delegate(nostrSecretKey, { expiresAt: graceUntil });
+        }
+
+        identity.legacy = { identity: legacy, graceUntil };
+        logger.log(`Migrating transport key ${legacy.getPublicKey().substring(0,8)} -> ${identity.getPublicKey().substring(0,8)}.`);
+        return identity;
+    }
+
+    /**
+     * Returns the legacy identity while its grace period is running.
+     * @returns {IdentityManager|null}
+     */
+    getActiveLegacy() {
+        if (!this.legacy) return null;
+        if (this.legacy.graceUntil <= Math.floor(Date.now() / 1000)) return null;
+        return this.legacy.identity;
     }
 
     generate() {
@@ -67,11 +154,127 @@ export class IdentityManager {
         return this.keypair;
     }
 
-    createAttestation(nostrPubkey) {
+    /**
+     * Authorizes this transport key on behalf of a Nostr identity.
+     * The resulting Schnorr signature is carried in DHT records and the
+     * identity-bridge event so resolvers can reject squatted feeds.
+     *
+     * @param {Uint8Array|string|function} signer - Nostr secret key or an async
+     *        callback `(hashHex) => sigHex` for external signers.
+     * @param {object} [options={}]
+     * @param {number} [options.ttl=Limits.DELEGATION_TTL_SEC] - Lifetime in seconds.
+     * @param {number} [options.expiresAt] - Absolute Unix expiry; overrides `ttl`.
+     * @returns {Promise<object>} - The delegation { nostrPubkey, sig, expiresAt }.
+     */
+    async delegate(signer, options = {}) {
+        const { ttl = Limits.DELEGATION_TTL_SEC, expiresAt = null } = options;
+        if (typeof signer !== 'function') {
+            const secretKey = typeof signer === 'string' ? hexToBytes(signer) : signer;
+            this.nostrPubkey = getPublicKey(secretKey);
+        }
+        if (!this.nostrPubkey) throw new NostrBTError("Nostr pubkey required for external delegation signers.");
+
+        const transportPubkey = this.getPublicKey();
+        const expiry = expiresAt || Math.floor(Date.now() / 1000) + ttl;
+        const sig = await signDelegation(signer, transportPubkey, expiry);
+        const delegation = { nostrPubkey: this.nostrPubkey, sig, expiresAt: expiry };
+
+        assertDelegation(transportPubkey, delegation);
+        this.delegation = delegation;
+        return delegation;
+    }
+
+    /**
+     * Retires this transport key in favour of a successor.
+     * Derived identities move to the next account index when given the Nostr
+     * secret key; otherwise a random successor is generated.
+     *
+     * @param {Uint8Array|string|function} signer - Nostr secret key or signer callback.
+     * @returns {Promise<{ successor: IdentityManager, rotation: object }>}
+     */
+    async rotate(signer) {
+        let successor;
+        if (this.account !== null && typeof signer !== 'function') {
+            successor = IdentityManager.fromNostrSecretKey(signer, { account: this.account + 1 });
+        } else {
+            successor = new IdentityManager(null, this.nostrPubkey);
+            successor.generate();
+        }
+        await successor.delegate(signer);
+
+        const rotation = await this._signRotation(signer, successor.getPublicKey());
+        logger.log(`Rotated transport key ${rotation.from.substring(0,8)} -> ${rotation.to.substring(0,8)}.`);
+        return { successor, rotation };
+    }
+
+    /**
+     * Revokes this transport key without naming a successor.
+     * @param {Uint8Array|string|function} signer - Nostr secret key or signer callback.
+     * @returns {Promise<object>} - The rotation statement with `to: null`.
+     */
+    async revoke(signer) {
+        const rotation = await this._signRotation(signer, null);
+        logger.log(`Revoked transport key ${rotation.from.substring(0,8)}.`);
+        return rotation;
+    }
+
+    /**
+     * Signs the rotation statement together with proof that the same Nostr key
+     * delegated this transport key: the current delegation when it still holds,
+     * otherwise a fresh one (which is not installed on this identity).
+     */
+    async _signRotation(signer, toPubkey) {
+        let nostrPubkey = this.nostrPubkey;
+        if (typeof signer !== 'function') {
+            nostrPubkey = getPublicKey(typeof signer === 'string' ? hexToBytes(signer) : signer);
+        }
+        if (!nostrPubkey) throw new NostrBTError("Nostr pubkey required for external rotation signers.");
+
+        const from = this.getPublicKey();
+        const createdAt = Math.floor(Date.now() / 1000);
+        let delegation = this.delegation;
+        if (!delegation || delegation.nostrPubkey !== nostrPubkey || !verifyDelegation(from, delegation, createdAt)) {
+            const expiresAt = createdAt + Limits.DELEGATION_TTL_SEC;
+            delegation = { nostrPubkey, sig: await signDelegation(signer, from, expiresAt), expiresAt };
+        }
+        const sig = await signRotation(signer, from, toPubkey, createdAt);
+        return { from, nostrPubkey, to: toPubkey, sig, createdAt, delegation };
+    }
+
+    /**
+     * Creates the Kind 30078 event announcing a rotation or revocation on relays.
+     * @param {object} rotation - Result of rotate() or revoke().
+     * @returns {object} - Unsigned event template.
+     */
+    static createRotationEvent(rotation) {
+        const tags = [
+            ['d', `${Identifiers.KEY_ROTATION}:${rotation.from}`],
+            ['from', rotation.from],
+            ['rotation', rotation.sig, String(rotation.createdAt)],
+            ['delegation', rotation.delegation.sig, String(rotation.delegation.expiresAt)]
+        ];
+        if (rotation.to) tags.push(['to', rotation.to]);
+        return {
+            kind: Kinds.Application,
+            created_at: rotation.createdAt,
+            tags,
+            content: rotation.to || '',
+            pubkey: rotation.nostrPubkey
+        };
+    }
+
+    createAttestation(nostrPubkey = this.nostrPubkey) {
+        const tags = [['d', Identifiers.IDENTITY_BRIDGE]];
+        if (this.delegation && this.delegation.nostrPubkey === nostrPubkey) {
+            tags.push(['delegation', this.delegation.sig, String(this.delegation.expiresAt)]);
+        }
+        if (this.legacy) {
+            tags.push(['migrated-from', this.legacy.identity.getPublicKey()]);
+        }
         return {
             kind: Kinds.Application,
             created_at: Math.floor(Date.now() / 1000),
-            tags: [['d', Identifiers.IDENTITY_BRIDGE]],
+            tags,
             content: this.getPublicKey(),
             pubkey: nostrPubkey
         };
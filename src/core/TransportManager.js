@@ -1,8 +1,10 @@
 import { LRUCache } from 'lru-cache';
 import { EventPackager } from './EventPackager.js';
 import { FeedTracker } from './FeedTracker.js';
-import { awaitEventWithTimeout } from '../utils/AsyncUtils.js';
-import { findTagValue } from '../utils/TagUtils.js';
+import { awaitEventWithTimeout, mapConcurrent } from '../utils/AsyncUtils.js';
+import { findTagValue, isExpired } from '../utils/TagUtils.js';
+import { mayMatchIndexItem } from '../utils/FilterUtils.js';
+import { verifyAttestation } from '../utils/DelegationUtils.js';
 import { logger } from '../utils/Logger.js';
 import { TransportError } from '../utils/Errors.js';
 import { Kinds, Identifiers, Limits } from '../Constants.js';
@@ -34,12 +36,17 @@ export class TransportManager {
         this.packager = new EventPackager();
         this.keyCache = new LRUCache({ max: Limits.KEY_CACHE_SIZE }); // nostrPubkey -> transportPubkey
         this.magnetCache = new LRUCache({ max: Limits.MAGNET_CACHE_SIZE }); // eventId -> magnetUri
+        this.eventCache = new LRUCache({ max: Limits.EVENT_CACHE_SIZE }); // eventId -> verified event
         this.tracker = new FeedTracker(this);
+
+        // Lets BitTorrentTransport.subscribe() resolve and poll P2P feeds
+        if (typeof transport?.bt?.setResolver === 'function') transport.bt.setResolver(this);
     }
 
     /**
      * Resolves a Nostr Pubkey to its associated Transport Public Key.
      * Tries cache, then Relay lookup (Kind 30078).
+     * Attestations without a valid delegation signed by `nostrPubkey` are ignored.
      * 
      * @param {string} nostrPubkey - The user's hex pubkey.
      * @returns {Promise<string|null>} - The Transport Public Key (hex).
@@ -54,11 +61,15 @@ export class TransportManager {
             limit: 1
         };
 
-        const event = await awaitEventWithTimeout(this.transport.nostr, filter, 5000, (e) => e.content && e.content.length === 64);
+        const event = await awaitEventWithTimeout(this.transport.nostr, filter, 5000, (e) => verifyAttestation(e, nostrPubkey));
         
         if (event) {
-            this.keyCache.set(nostrPubkey, event.content);
-            return event.content;
+            // The attested key may have been rotated or revoked since
+            await this.tracker.checkRelayRotation(event.content, nostrPubkey);
+            const transportPubkey = this.tracker.resolveSuccessor(event.content);
+            if (!transportPubkey) return null;
+            this.keyCache.set(nostrPubkey, transportPubkey);
+            return transportPubkey;
         }
 
         return null;
@@ -82,8 +93,7 @@ export class TransportManager {
         // Find latest Kind 3 (Contact List) in the P2P feed
         const contactList = events.find(e => e.kind === Kinds.Contacts);
         if (contactList) {
-            const fullEventJson = await this.transport.bt.fetch(contactList.magnet);
-            const fullEvent = JSON.parse(fullEventJson.toString());
+            const fullEvent = await this.fetchEventP2P(contactList);
             
             if (this.wotManager._parseContactList) {
                 this.wotManager._parseContactList(fullEvent);
@@ -92,10 +102,20 @@ export class TransportManager {
     }
 
     /**
-     * Recursively syncs the WoT graph via P2P.
+     * Recursively syncs the WoT graph via P2P, one degree at a time.
+     * Each node's contact list is fetched with bounded concurrency and a
+     * per-user timeout; nodes that fail are skipped.
+     *
+     * @param {object} [options={}]
+     * @param {number} [options.concurrency=Limits.FOLLOWS_CONCURRENCY] - Users fetched in parallel.
+     * @param {number} [options.timeoutMs=Limits.FOLLOW_TIMEOUT_MS] - Per-user budget (`0` disables). A user over budget
+     *        is reported as failed, but holds its slot until its fetch settles.
+     * @param {function(object): void} [options.onProgress] - Receives `{ degree, done, total, failed, pubkey, error? }` after each user.
+     * @returns {Promise<void>}
      */
-    async syncWoTRecursiveP2P() {
+    async syncWoTRecursiveP2P(options = {}) {
         if (!this.wotManager) throw new TransportError("WoTManager not initialized.", "core");
+        const { concurrency = Limits.FOLLOWS_CONCURRENCY, timeoutMs = Limits.FOLLOW_TIMEOUT_MS, onProgress } = options;
         
         logger.log(`Starting recursive WoT sync (Max Degree: ${this.wotManager.maxDegree})...`);
 
@@ -103,53 +123,87 @@ export class TransportManager {
             const currentNodes = this.wotManager.getPubkeysAtDegree(d);
             logger.log(`Level ${d} has ${currentNodes.length} nodes. Fetching their follows (Level ${d+1})...`);
 
-            const promises = currentNodes.map(async (pk) => {
-                try {
-                    const tpk = await this.resolveTransportKey(pk);
-                    if (tpk) {
-                        const events = await this.subscribeP2P(tpk, pk);
-                        const contactList = events.find(e => e.kind === Kinds.Contacts);
-                        if (contactList) {
-                            const fullEventJson = await this.transport.bt.fetch(contactList.magnet);
-                            const fullEvent = JSON.parse(fullEventJson.toString());
-                            this.wotManager._parseContactList(fullEvent, d + 1);
-                        }
-                    }
-                } catch {
-                    // logger.warn(`Failed to fetch follows for ${pk}`, e.message);
+            const fetchFollows = async (pk) => {
+                const items = await this._fetchFollowFeed(pk);
+                const contactList = items.find(e => e.kind === Kinds.Contacts);
+                if (contactList) {
+                    const fullEvent = await this.fetchEventP2P(contactList);
+                    this.wotManager._parseContactList(fullEvent, d + 1);
                 }
-            });
-
-            await Promise.all(promises);
+            };
+
+            let done = 0;
+            let failed = 0;
+            // Timed-out users keep their slot until their fetch settles, so network work stays bounded
+            const work = mapConcurrent(currentNodes, fetchFollows, concurrency, { timeoutMs });
+            for await (const { item: pubkey, error } of work) {
+                done++;
+                if (error) failed++;
+                if (onProgress) onProgress({ degree: d, done, total: currentNodes.length, failed, pubkey, ...(error && { error }) });
+            }
         }
     }
 
     /**
-     * Subscribes to all events from users in the WoT list via P2P.
-     * @returns {Promise<Array>} - Flattened list of latest events from all followed users.
+     * Streams the P2P feeds of every user in the WoT list. Feeds are
+     * resolved with bounded concurrency and a per-user timeout, and each is
+     * yielded as soon as it resolves (completion order). Items are index
+     * pointers; use hydrateP2P() for full events.
+     *
+     * @param {object} [options={}]
+     * @param {number} [options.concurrency=Limits.FOLLOWS_CONCURRENCY] - Users resolved in parallel.
+     * @param {number} [options.timeoutMs=Limits.FOLLOW_TIMEOUT_MS] - Per-user budget (`0` disables). A user over budget
+     *        is reported as failed, but holds its slot until its fetch settles.
+     * @param {function(object): void} [options.onProgress] - Receives `{ done, total, failed, pubkey, error? }` after each user.
+     * @yields {{ pubkey: string, items: Array, error?: Error }} - `items` is empty for users without a P2P feed or that failed.
      */
-    async subscribeFollowsP2P() {
+    async *streamFollowsP2P(options = {}) {
         if (!this.wotManager) throw new TransportError("WoTManager not initialized.", "core");
         if (!this.feedManager) throw new TransportError("FeedManager not initialized.", "core");
+        const { concurrency = Limits.FOLLOWS_CONCURRENCY, timeoutMs = Limits.FOLLOW_TIMEOUT_MS, onProgress } = options;
 
         const followPubkeys = Array.from(this.wotManager.follows.keys());
-        if (followPubkeys.length === 0) return [];
-        
         logger.log(`Resolving P2P feeds for ${followPubkeys.length} follows (all degrees)...`);
 
-        const allEvents = [];
-        const resolvePromises = followPubkeys.map(async (npk) => {
-            const tpk = await this.resolveTransportKey(npk);
-            if (tpk) {
-                const events = await this.subscribeP2P(tpk, npk);
-                allEvents.push(...events);
+        let done = 0;
+        let failed = 0;
+        // Timed-out users keep their slot until their fetch settles, so network work stays bounded
+        const work = mapConcurrent(followPubkeys, npk => this._fetchFollowFeed(npk), concurrency, { timeoutMs });
+        for await (const { item: pubkey, value, error } of work) {
+            done++;
+            if (error) {
+                failed++;
+                logger.warn(`Failed to resolve P2P feed for ${pubkey.substring(0, 8)}: ${error.message}`);
             }
-        });
+            if (onProgress) onProgress({ done, total: followPubkeys.length, failed, pubkey, ...(error && { error }) });
+            yield error ? { pubkey, items: [], error } : { pubkey, items: value };
+        }
+    }
 
-        await Promise.all(resolvePromises);
+    /**
+     * Subscribes to all events from users in the WoT list via P2P.
+     * Collects streamFollowsP2P(); users that fail are skipped.
+     * @param {object} [options={}] - See streamFollowsP2P.
+     * @returns {Promise<Array>} - Flattened list of latest events from all followed users.
+     */
+    async subscribeFollowsP2P(options = {}) {
+        const allEvents = [];
+        for await (const { items } of this.streamFollowsP2P(options)) {
+            allEvents.push(...items);
+        }
         return allEvents.sort((a, b) => b.ts - a.ts);
     }
 
+    /**
+     * Resolves one user's transport key and reads their feed head.
+     * @param {string} nostrPubkey
+     * @returns {Promise<Array>} - Index items; empty if the user has no P2P feed.
+     */
+    async _fetchFollowFeed(nostrPubkey) {
+        const tpk = await this.resolveTransportKey(nostrPubkey);
+        return tpk ? this.subscribeP2P(tpk, nostrPubkey) : [];
+    }
+
     /**
      * Publishes an event purely via P2P (DHT + Swarm), bypassing relays.
      * Requires FeedManager to be initialized.
@@ -161,9 +215,7 @@ export class TransportManager {
         if (!this.feedManager) throw new TransportError("FeedManager not initialized.", "core");
 
         // 1. Seed the event content itself
-        const eventBuffer = this.packager.package(event);
-        const eventFilename = this.packager.getFilename(event);
-        const eventMagnet = await this.transport.bt.publish({ buffer: eventBuffer, filename: eventFilename });
+        const eventMagnet = await this.transport.bt.publish(this.packager.packageTorrent(event));
 
         // 2. Update the P2P Feed Index
         const indexMagnet = await this.feedManager.updateFeed(event, eventMagnet);
@@ -173,20 +225,125 @@ export class TransportManager {
 
     /**
      * Subscribes to a user's P2P feed.
-     * Uses FeedTracker to find the magnet (DHT or Relay-bridge).
+     * Uses FeedTracker to find the magnet (DHT or Relay-bridge), then walks the
+     * `prev` (and `merged`) links of archive pages, breadth first, to backfill
+     * older history. Pages entirely
+     * newer than `until` are skipped over; every page after that counts towards
+     * `pages`, matching or not. If an archive page cannot be fetched, the items
+     * gathered so far are returned.
      * 
      * @param {string} transportPubkey - The Transport Public Key (hex).
      * @param {string} [nostrPubkey] - The associated Nostr pubkey (helps Relay discovery).
-     * @returns {Promise<Array>} - List of recent events (metadata/pointers).
+     * @param {object} [options={}]
+     * @param {number} [options.until] - Only return items with `ts <= until`.
+     * @param {number} [options.pages=1] - Maximum pages read from `until` on (head included). `Infinity` backfills everything.
+     * @param {object} [options.filter] - NIP-01 filter applied to items before anything is fetched (ids, kinds, since/until, #e/#p/#t/#d).
+     * @returns {Promise<Array>} - List of events (metadata/pointers), newest first.
      */
-    async subscribeP2P(transportPubkey, nostrPubkey = null) {
-        const magnet = await this.tracker.discover(transportPubkey, nostrPubkey);
-        if (!magnet) return [];
+    async subscribeP2P(transportPubkey, nostrPubkey = null, options = {}) {
+        const { until = Infinity, pages = 1, filter = null } = options;
+        const head = await this.tracker.discover(transportPubkey, nostrPubkey);
+        if (!head) return [];
+
+        const items = [];
+        const seen = new Set();
+        const visited = new Set();
+        const queue = [head];
+        let read = 0;
+
+        while (queue.length > 0 && read < pages) {
+            const magnet = queue.shift();
+            if (visited.has(magnet)) continue;
+            visited.add(magnet);
+            let page;
+            try {
+                page = await this._fetchIndexPage(magnet);
+            } catch (error) {
+                if (visited.size === 1) throw error;
+                logger.warn(`Stopped paging P2P feed ${transportPubkey.substring(0,8)}: ${error.message}`);
+                break;
+            }
+
+            const current = page.items.filter(i => i.ts <= until);
+            const matching = current.filter(i => !seen.has(i.id) && (!filter || mayMatchIndexItem(i, filter)));
+            matching.forEach(i => seen.add(i.id));
+            items.push(...matching);
+            const seeking = page.items.length > 0 && current.length === 0; // Entirely newer than `until`
+            const join = page.items.length === 0 && page.merged.length > 0; // Only links two archive chains
+            if (!seeking && !join) read++;
+
+            // Archive pages only get older, so a page entirely before `filter.since` ends its chain
+            const beforeSince = filter?.since !== undefined && page.items.length > 0 && page.items.every(i => i.ts < filter.since);
+            if (page.prev && !beforeSince) queue.push(page.prev);
+            queue.push(...page.merged);
+        }
+
+        return items.sort((a, b) => b.ts - a.ts);
+    }
 
+    /**
+     * Reads the current head of a user's P2P feed for live polling.
+     * The pointer is always re-resolved; the index is only fetched when it moved.
+     *
+     * @param {string} transportPubkey
+     * @param {string} [nostrPubkey]
+     * @param {string} [lastMagnet] - The head magnet seen by the previous poll.
+     * @returns {Promise<{ magnet: string|null, items: Array }>}
+     */
+    async pollFeedP2P(transportPubkey, nostrPubkey = null, lastMagnet = null) {
+        const magnet = await this.tracker.discover(transportPubkey, nostrPubkey, 0, { fresh: true });
+        if (!magnet || magnet === lastMagnet) return { magnet, items: [] };
+
+        const { items } = await this._fetchIndexPage(magnet);
+        return { magnet, items };
+    }
+
+    /**
+     * Downloads the full event behind a feed index item and verifies it
+     * against the item's id (hash and signature). Verified events are cached.
+     *
+     * @param {object} item - { id, magnet }
+     * @returns {Promise<object>} - The verified event.
+     * @throws {IntegrityError} If the downloaded event is not the one the item names.
+     */
+    async fetchEventP2P(item) {
+        if (this.eventCache.has(item.id)) return this.eventCache.get(item.id);
+
+        const buffer = await this.transport.bt.fetch(item.magnet);
+        const event = this.packager.unpack(buffer, { expectedId: item.id });
+        this.eventCache.set(item.id, event);
+        return event;
+    }
+
+    /**
+     * Turns feed index items (e.g. from subscribeP2P) into full, verified
+     * events, downloading at most `concurrency` torrents at once. Outcomes
+     * are yielded as they complete; a failed item is reported with its
+     * error and does not stop the others.
+     *
+     * @param {Array<object>} items - Feed index items: { id, magnet, ... }
+     * @param {object} [options={}]
+     * @param {number} [options.concurrency=Limits.HYDRATE_CONCURRENCY]
+     * @yields {{ item: object, event?: object, error?: Error }}
+     */
+    async *hydrateP2P(items, options = {}) {
+        const { concurrency = Limits.HYDRATE_CONCURRENCY } = options;
+        for await (const { item, value, error } of mapConcurrent(items, i => this.fetchEventP2P(i), concurrency)) {
+            if (error) logger.warn(`Failed to hydrate P2P event ${item.id}: ${error.message}`);
+            yield error ? { item, error } : { item, event: value };
+        }
+    }
+
+    /**
+     * Fetches and parses one feed index page (head or archive).
+     * @param {string} magnet
+     * @returns {Promise<object>} - { items, prev, merged }
+     */
+    async _fetchIndexPage(magnet) {
         try {
             const indexBuf = await this.transport.bt.fetch(magnet);
             const data = JSON.parse(indexBuf.toString());
-            return data.items || [];
+            return { items: data.items || [], prev: data.prev || null, merged: data.merged || [] };
         } catch (e) {
             throw new TransportError(`Failed to fetch or parse P2P index: ${e.message}`, "bittorrent");
         }
@@ -237,10 +394,7 @@ export class TransportManager {
         const seeds = [{
             kind: 'event',
             filename: this.packager.getFilename(signedEvent),
-            publish: () => this.transport.bt.publish({
-                buffer: this.packager.package(signedEvent),
-                filename: this.packager.getFilename(signedEvent)
-            })
+            publish: () => this.transport.bt.publish(this.packager.packageTorrent(signedEvent))
         }];
 
         for (const file of mediaFiles) {
@@ -281,27 +435,27 @@ export class TransportManager {
 
     /**
      * Reseeds an event that was fetched from a relay.
-     * Optimization: Checks memory cache and existing "bt" tags before hashing.
+     * Optimization: Checks the memory cache before seeding.
+     * Events with a "bt" tag are seeded like any other: the tag names media
+     * (or anything at all), so only a torrent seeded here is ever reported.
+     * Expired events (NIP-40) are never seeded.
      * 
      * @param {object} event - The Nostr event to seed.
      * @param {boolean} [background=true] - If true, resolves instantly while seeding in background.
-     * @returns {Promise<string>} - The magnet URI.
+     * @returns {Promise<string|null>} - The magnet URI, or null for an expired event.
      */
     async reseedEvent(event, background = true) {
         if (!event || !event.id) throw new TransportError("Invalid event for reseeding.", "core");
+        if (isExpired(event)) {
+            logger.log(`Skipping expired event ${event.id.substring(0,8)}`);
+            return null;
+        }
 
         if (this.magnetCache.has(event.id)) return this.magnetCache.get(event.id);
-        const existingBt = findTagValue(event, 'bt');
-        if (existingBt) {
-            this.magnetCache.set(event.id, existingBt);
-            return existingBt;
-        }
 
         const performSeed = async () => {
             try {
-                const buffer = this.packager.package(event);
-                const filename = this.packager.getFilename(event);
-                const magnetUri = await this.transport.bt.publish({ buffer, filename });
+                const magnetUri = await this.transport.bt.publish(this.packager.packageTorrent(event));
                 this.magnetCache.set(event.id, magnetUri);
                 if (this.feedManager) {
                     await this.feedManager.updateFeed(event, magnetUri);
@@ -322,6 +476,25 @@ export class TransportManager {
         return await performSeed();
     }
 
+    /**
+     * Stops seeding an event's torrent, e.g. after a NIP-09 deletion.
+     * The magnet is taken from the cache, or recomputed from the canonical packaging.
+     *
+     * @param {object} event - The deleted Nostr event.
+     * @returns {Promise<boolean>} - True if a seeded torrent was removed.
+     */
+    async unseedEvent(event) {
+        if (!event || !event.id) throw new TransportError("Invalid event for unseeding.", "core");
+
+        const magnetUri = this.magnetCache.get(event.id) || this.packager.getMagnet(event);
+        this.magnetCache.delete(event.id);
+        if (typeof this.transport.bt.unpublish !== 'function') return false;
+
+        const removed = await this.transport.bt.unpublish(magnetUri);
+        if (removed) logger.log(`Stopped seeding deleted event ${event.id.substring(0, 8)}`);
+        return removed;
+    }
+
     /**
      * Fetches media associated with an event.
      * Strategy: Try BitTorrent (Magnet) first. If fails/timeout, fallback to HTTP URL.
@@ -13,8 +13,14 @@ export { BitTorrentTransport } from './transport/BitTorrentTransport.js';
 export { NostrTransport } from './transport/NostrTransport.js';
 export { HybridTransport } from './transport/HybridTransport.js';
 
+// Storage
+export { MemoryFeedStore } from './storage/MemoryFeedStore.js';
+export { FileFeedStore } from './storage/FileFeedStore.js';
+export { IndexedDBFeedStore } from './storage/IndexedDBFeedStore.js';
+
 // Interfaces
 export { ITransport } from './interfaces/ITransport.js';
+export { IFeedStore } from './interfaces/IFeedStore.js';
 
 // Utilities
 export * from './utils/Errors.js';
@@ -22,3 +28,6 @@ export { logger } from './utils/Logger.js';
 export * from './Constants.js';
 export * from './utils/AsyncUtils.js';
 export * from './utils/TagUtils.js';
+export * from './utils/FilterUtils.js';
+export * from './utils/DelegationUtils.js';
+export * from './utils/TorrentUtils.js';
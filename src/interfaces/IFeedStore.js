@@ -0,0 +1,41 @@
+import { NostrBTError } from '../utils/Errors.js';
+
+/**
+ * Abstract Base Class for FeedManager state persistence.
+ * State is keyed by transport public key and must survive restarts.
+ */
+export class IFeedStore {
+    constructor() {
+        if (this.constructor === IFeedStore) {
+            throw new NostrBTError("Abstract classes can't be instantiated.");
+        }
+    }
+
+    /**
+     * Loads the persisted feed state.
+     * @param {string} _key - The transport public key (hex).
+     * @returns {Promise<object|null>} - { seq, lastSeq, lastInfoHash, legacyGraceUntil, index } or null.
+     */
+    async load(_key) {
+        throw new NostrBTError("Method 'load()' must be implemented.");
+    }
+
+    /**
+     * Persists the feed state.
+     * @param {string} _key - The transport public key (hex).
+     * @param {object} _state - The serializable feed state.
+     * @returns {Promise<void>}
+     */
+    async save(_key, _state) {
+        throw new NostrBTError("Method 'save()' must be implemented.");
+    }
+
+    /**
+     * Removes the persisted feed state.
+     * @param {string} _key - The transport public key (hex).
+     * @returns {Promise<void>}
+     */
+    async clear(_key) {
+        throw new NostrBTError("Method 'clear()' must be implemented.");
+    }
+}
@@ -0,0 +1,48 @@
+import { IFeedStore } from '../interfaces/IFeedStore.js';
+import { logger } from '../utils/Logger.js';
+
+/**
+ * Node.js feed store writing one JSON file per transport key.
+ * `fs` is imported lazily so browser bundles never pull it in.
+ */
+export class FileFeedStore extends IFeedStore {
+    /**
+     * @param {string} directory - Directory holding the state files.
+     */
+    constructor(directory) {
+        super();
+        this.directory = directory;
+    }
+
+    async _fs() {
+        const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+        return { fs, path };
+    }
+
+    async load(key) {
+        const { fs, path } = await this._fs();
+        try {
+            const raw = await fs.readFile(path.join(this.directory, `${key}.json`), 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code !== 'ENOENT') logger.warn(`Failed to load feed state for ${key.substring(0,8)}.`, err.message);
+            return null;
+        }
+    }
+
+    async save(key, state) {
+        const { fs, path } = await this._fs();
+        const file = path.join(this.directory, `${key}.json`);
+        const tmp = `${file}.${process.pid}.tmp`;
+
+        // Write-then-rename keeps the previous state intact if we crash mid-write
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify(state));
+        await fs.rename(tmp, file);
+    }
+
+    async clear(key) {
+        const { fs, path } = await this._fs();
+        await fs.rm(path.join(this.directory, `${key}.json`), { force: true });
+    }
+}
@@ -0,0 +1,56 @@
+import { IFeedStore } from '../interfaces/IFeedStore.js';
+import { NostrBTError } from '../utils/Errors.js';
+
+/**
+ * Browser feed store backed by IndexedDB.
+ */
+export class IndexedDBFeedStore extends IFeedStore {
+    /**
+     * @param {string} [dbName='nostr-over-bt'] - Database name.
+     * @param {string} [storeName='feeds'] - Object store name.
+     */
+    constructor(dbName = 'nostr-over-bt', storeName = 'feeds') {
+        super();
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (this.dbPromise) return this.dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new NostrBTError("IndexedDB is not available in this environment."));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.dbPromise;
+    }
+
+    async _request(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async load(key) {
+        const state = await this._request('readonly', store => store.get(key));
+        return state || null;
+    }
+
+    async save(key, state) {
+        await this._request('readwrite', store => store.put(state, key));
+    }
+
+    async clear(key) {
+        await this._request('readwrite', store => store.delete(key));
+    }
+}
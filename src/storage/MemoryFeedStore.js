@@ -0,0 +1,24 @@
+import { IFeedStore } from '../interfaces/IFeedStore.js';
+
+/**
+ * Volatile feed store. Useful for tests and short-lived processes.
+ */
+export class MemoryFeedStore extends IFeedStore {
+    constructor() {
+        super();
+        this.states = new Map();
+    }
+
+    async load(key) {
+        const state = this.states.get(key);
+        return state ? structuredClone(state) : null;
+    }
+
+    async save(key, state) {
+        this.states.set(key, structuredClone(state));
+    }
+
+    async clear(key) {
+        this.states.delete(key);
+    }
+}
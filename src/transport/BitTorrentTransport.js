@@ -2,11 +2,13 @@ import { ITransport } from '../interfaces/ITransport.js';
 import WebTorrent from 'webtorrent';
 import { logger } from '../utils/Logger.js';
 import { TransportError, TimeoutError } from '../utils/Errors.js';
+import { FeedSubscription } from './FeedSubscription.js';
 
 export class BitTorrentTransport extends ITransport {
     constructor(options = {}) {
         super();
         this.announce = options.announce || []; 
+        this.resolver = null; // Set by TransportManager; resolves and reads P2P feeds for subscribe()
         this.client = new WebTorrent({
             ...options,
             dht: options.dht !== undefined ? options.dht : true, 
@@ -44,14 +46,15 @@ export class BitTorrentTransport extends ITransport {
 
     /**
      * Seeds data via BitTorrent.
-     * @param {object} data - { buffer, filename }
+     * @param {object} data - { buffer, filename, pieceLength? }
      * @returns {Promise<string>} - The magnet URI.
      */
     async publish(data) {
         return new Promise((resolve, reject) => {
-            const { buffer, filename } = data;
+            const { buffer, filename, pieceLength } = data;
             
             const opts = { name: filename };
+            if (pieceLength) opts.pieceLength = pieceLength;
             if (this.announce.length > 0) {
                 opts.announce = this.announce;
             }
@@ -67,6 +70,23 @@ export class BitTorrentTransport extends ITransport {
         });
     }
 
+    /**
+     * Stops seeding a torrent previously created with publish().
+     * @param {string} magnetUri
+     * @returns {Promise<boolean>} - False if the torrent was not being seeded.
+     */
+    async unpublish(magnetUri) {
+        const torrent = await this.client.get(magnetUri);
+        if (!torrent) return false;
+
+        return new Promise((resolve) => {
+            this.client.remove(torrent, { destroyStore: true }, (err) => {
+                if (err) logger.warn(`Failed to remove torrent: ${err.message}`);
+                resolve(!err);
+            });
+        });
+    }
+
     /**
      * Fetches a file via BitTorrent.
      * @param {string} magnetUri 
@@ -126,11 +146,32 @@ export class BitTorrentTransport extends ITransport {
         });
     }
 
-    subscribe(filter, _onEvent) {
-        logger.log("Listening for DHT matches", filter);
-        return {
-            close: () => logger.log("DHT subscription closed")
-        };
+    /**
+     * Attaches the feed resolver used by subscribe().
+     * @param {object} resolver - Usually a TransportManager.
+     */
+    setResolver(resolver) {
+        this.resolver = resolver;
+    }
+
+    /**
+     * Subscribes to the P2P feeds of `filter.authors` (Nostr pubkeys), polling
+     * their DHT pointers and delivering verified events as they appear.
+     * Filters without authors cannot be served from feeds and match nothing.
+     *
+     * @param {object} filter - NIP-01 filter.
+     * @param {function(object): void} onEvent - Receives verified full events.
+     * @param {object} [options={}] - See FeedSubscription (`pollIntervalMs`, `maxBackoffMs`, `onEose`, `resolver`).
+     * @returns {{ close: function }}
+     */
+    subscribe(filter, onEvent, options = {}) {
+        const resolver = options.resolver || this.resolver;
+        if (!resolver || !Array.isArray(filter?.authors) || filter.authors.length === 0) {
+            logger.log("P2P subscription needs authors and a resolver; nothing to poll.");
+            if (options.onEose) queueMicrotask(options.onEose);
+            return { close: () => {} };
+        }
+        return new FeedSubscription(resolver, filter, onEvent, options).start();
     }
 
     /**
@@ -0,0 +1,135 @@
+import { logger } from '../utils/Logger.js';
+import { matchFilter, mayMatchIndexItem } from '../utils/FilterUtils.js';
+import { ValidationError } from '../utils/Errors.js';
+import { Limits } from '../Constants.js';
+
+/**
+ * A live subscription to the P2P feeds of a filter's authors.
+ *
+ * Each author's BEP-44 pointer is polled on its own timer. When the pointer
+ * moves, the head index is fetched and new items whose `kind`, `ts` and tag
+ * summary fit the filter are downloaded, verified and delivered oldest first. Failed polls
+ * back off exponentially up to `maxBackoffMs`.
+ *
+ * The resolver (normally the TransportManager) supplies:
+ * `resolveTransportKey(nostrPubkey)`, `pollFeedP2P(transportPubkey, nostrPubkey, lastMagnet)`
+ * and `fetchEventP2P(item)`.
+ */
+export class FeedSubscription {
+    /**
+     * @param {object} resolver
+     * @param {object} filter - NIP-01 filter; `authors` is required.
+     * @param {function(object): void} onEvent - Receives verified full events.
+     * @param {object} [options={}]
+     * @param {number} [options.pollIntervalMs=Limits.SUBSCRIBE_POLL_MS] - Delay between successful polls.
+     * @param {number} [options.maxBackoffMs=Limits.SUBSCRIBE_MAX_BACKOFF_MS] - Ceiling for the failure backoff.
+     * @param {function(): void} [options.onEose] - Called once every author has been polled once.
+     */
+    constructor(resolver, filter, onEvent, options = {}) {
+        this.resolver = resolver;
+        this.filter = filter;
+        this.onEvent = onEvent;
+        this.pollIntervalMs = options.pollIntervalMs ?? Limits.SUBSCRIBE_POLL_MS;
+        this.maxBackoffMs = options.maxBackoffMs ?? Limits.SUBSCRIBE_MAX_BACKOFF_MS;
+        this.onEose = options.onEose || null;
+
+        this.seen = new Set();
+        this.closed = false;
+        this.feeds = filter.authors.map(nostrPubkey => ({
+            nostrPubkey,
+            transportPubkey: null,
+            lastMagnet: null,
+            delay: this.pollIntervalMs,
+            timer: null,
+            initial: true
+        }));
+    }
+
+    /**
+     * Starts polling every author.
+     * @returns {FeedSubscription}
+     */
+    start() {
+        Promise.allSettled(this.feeds.map(feed => this._poll(feed))).then(() => {
+            if (!this.closed && this.onEose) this.onEose();
+        });
+        return this;
+    }
+
+    /**
+     * Stops all polling. Events already being fetched are dropped.
+     */
+    close() {
+        this.closed = true;
+        for (const feed of this.feeds) clearTimeout(feed.timer);
+    }
+
+    async _poll(feed) {
+        if (this.closed) return;
+        try {
+            feed.transportPubkey = feed.transportPubkey || await this.resolver.resolveTransportKey(feed.nostrPubkey);
+            if (!feed.transportPubkey) throw new Error('no transport key');
+
+            const { magnet, items } = await this.resolver.pollFeedP2P(feed.transportPubkey, feed.nostrPubkey, feed.lastMagnet);
+            if (!magnet) throw new Error('no feed pointer');
+
+            const complete = await this._deliver(this._select(items, feed.initial));
+            // Items that failed to download are retried on the next poll
+            feed.lastMagnet = complete ? magnet : null;
+            feed.initial = false;
+            feed.delay = this.pollIntervalMs;
+        } catch (err) {
+            // Keys can rotate or vanish: resolve again next time
+            feed.transportPubkey = null;
+            feed.delay = Math.min(feed.delay * 2, this.maxBackoffMs);
+            logger.log(`P2P poll for ${feed.nostrPubkey.substring(0, 8)} failed (${err.message}), retrying in ${feed.delay}ms.`);
+        }
+        this._schedule(feed);
+    }
+
+    _schedule(feed) {
+        if (this.closed) return;
+        feed.timer = setTimeout(() => this._poll(feed), feed.delay);
+        if (feed.timer.unref) feed.timer.unref();
+    }
+
+    /**
+     * Picks unseen index items that can match the filter, oldest first.
+     * The first poll of a feed honours `limit` like a relay's stored results.
+     */
+    _select(items, initial) {
+        const { limit } = this.filter;
+        const candidates = items
+            .filter(item => !this.seen.has(item.id) && mayMatchIndexItem(item, this.filter))
+            .sort((a, b) => b.ts - a.ts);
+
+        if (!initial || !Number.isInteger(limit)) return candidates.reverse();
+        // Older history beyond the limit is skipped for good, not delivered on a later poll
+        candidates.slice(limit).forEach(item => this.seen.add(item.id));
+        return candidates.slice(0, limit).reverse();
+    }
+
+    /**
+     * @returns {Promise<boolean>} - False if an item should be retried.
+     */
+    async _deliver(items) {
+        let complete = true;
+        for (const item of items) {
+            if (this.closed) return complete;
+            try {
+                const event = await this.resolver.fetchEventP2P(item);
+                this.seen.add(item.id);
+                if (!this.closed && matchFilter(event, this.filter)) this.onEvent(event);
+            } catch (err) {
+                if (err instanceof ValidationError) {
+                    // Tampered or malformed: never worth fetching again
+                    this.seen.add(item.id);
+                    logger.warn(`Dropped invalid P2P event ${item.id}: ${err.message}`);
+                } else {
+                    complete = false;
+                }
+            }
+        }
+        return complete;
+    }
+}
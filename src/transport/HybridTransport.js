@@ -1,4 +1,5 @@
 import { ITransport } from '../interfaces/ITransport.js';
+import { Sources } from '../Constants.js';
 
 /**
  * HybridTransport coordinates communication between the Nostr network (Relays)
@@ -45,13 +46,54 @@ export class HybridTransport extends ITransport {
     }
 
     /**
-     * Subscribes to both networks (delegated).
-     * @param {object} filter 
-     * @param {function} onEvent 
-     * @returns {Promise<void>}
+     * Subscribes to both networks and merges them into one stream.
+     * Each event is delivered once, the first time either side produces it,
+     * together with its `sources`: the relay URLs that sent it and/or
+     * `Sources.SWARM`. The array is shared, so sources that confirm the event
+     * later are appended to it.
+     *
+     * @param {object} filter
+     * @param {function(object, string[]): void} onEvent
+     * @param {object} [options={}]
+     * @param {function(): void} [options.onEose] - Called once both networks have caught up.
+     * @returns {{ close: function, sources: function(string): string[] }}
      */
-    async subscribe(filter, onEvent) {
-        await this.nostr.subscribe(filter, onEvent);
-        await this.bt.subscribe(filter, onEvent);
+    subscribe(filter, onEvent, options = {}) {
+        const seen = new Map(); // event id -> sources
+        let pending = 2;
+        let closed = false;
+
+        const addSource = (id, source) => {
+            const sources = seen.get(id);
+            if (sources && !sources.includes(source)) sources.push(source);
+            return sources;
+        };
+        const deliver = (event, source) => {
+            if (closed || addSource(event.id, source)) return;
+            const sources = [source];
+            seen.set(event.id, sources);
+            onEvent(event, sources);
+        };
+        const eose = () => {
+            if (--pending === 0 && !closed && options.onEose) options.onEose();
+        };
+
+        const subs = [
+            this.nostr.subscribe(filter, (event, relayUrl) => deliver(event, relayUrl), {
+                onEose: eose,
+                onSeen: (id, relayUrl) => addSource(id, relayUrl)
+            }),
+            this.bt.subscribe(filter, (event) => deliver(event, Sources.SWARM), { onEose: eose })
+        ];
+
+        return {
+            close: () => {
+                closed = true;
+                for (const sub of subs) {
+                    if (sub && typeof sub.close === 'function') sub.close();
+                }
+            },
+            sources: (id) => seen.get(id) || []
+        };
     }
 }
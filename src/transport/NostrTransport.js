@@ -55,14 +55,44 @@ export class NostrTransport extends ITransport {
     /**
      * Subscribes to events from relays.
      * Note: nostr-tools v2 subscribeMany takes a single Filter object, not an array.
+     *
+     * @param {object} filter
+     * @param {function(object, string): void} onEvent - Receives each event once, with the URL of the first relay that sent it.
+     * @param {object} [options={}]
+     * @param {function(): void} [options.onEose] - Called once every relay has sent EOSE (or closed).
+     * @param {function(string, string): void} [options.onSeen] - Receives `(eventId, relayUrl)` for every relay that sends an event, including repeats, once the event has passed verification.
+     * @returns {{ close: function }}
      */
-    subscribe(filter, onEvent) {
+    subscribe(filter, onEvent, options = {}) {
         // Ensure we pass a single clean object
         const cleanFilter = Array.isArray(filter) ? filter[0] : filter;
-        
+
+        if (this.relays.length === 0) {
+            if (options.onEose) queueMicrotask(options.onEose);
+            return { close: () => {} };
+        }
+
+        // receivedEvent runs before verification, just ahead of onevent for the
+        // same relay message, so sources are only reported for verified ids
+        let lastRelay = null;
+        let poolHook = null;
+        const verified = new Set();
+        const receivedEvent = (relay, id) => {
+            if (poolHook) poolHook(relay, id);
+            lastRelay = relay.url;
+            if (verified.has(id) && options.onSeen) options.onSeen(id, relay.url);
+        };
         return this.pool.subscribeMany(this.relays, cleanFilter, {
+            // The pool installs its own hook here when trackRelays is on; keep both
+            get receivedEvent() { return receivedEvent; },
+            set receivedEvent(hook) { poolHook = hook; },
             onevent(event) {
-                onEvent(event);
+                verified.add(event.id);
+                if (options.onSeen) options.onSeen(event.id, lastRelay);
+                onEvent(event, lastRelay);
+            },
+            oneose() {
+                if (options.onEose) options.onEose();
             }
         });
     }
@@ -1,6 +1,9 @@
+import { TimeoutError } from './Errors.js';
+
 /**
  * Utility for awaiting a specific Nostr event with a timeout.
  * Centralizes the boilerplate for one-shot subscriptions.
+ * Resolves null early once the transport signals EOSE without a match.
  * 
  * @param {ITransport} transport - The transport instance to subscribe to.
  * @param {object|Array} filter - The Nostr filter(s).
@@ -11,17 +14,106 @@
 export async function awaitEventWithTimeout(transport, filter, timeoutMs = 5000, matcher = () => true) {
     return new Promise((resolve) => {
         let sub;
-        const timer = setTimeout(() => {
+        let done = false;
+        const finish = (event) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
             if (sub && typeof sub.close === 'function') sub.close();
-            resolve(null);
-        }, timeoutMs);
+            resolve(event);
+        };
+        const timer = setTimeout(() => finish(null), timeoutMs);
 
         sub = transport.subscribe(filter, (event) => {
-            if (matcher(event)) {
+            if (!done && matcher(event)) finish(event);
+        }, { onEose: () => finish(null) });
+        // The transport may have answered synchronously, before `sub` existed
+        if (done && sub && typeof sub.close === 'function') sub.close();
+    });
+}
+
+/**
+ * Runs an async function over items with at most `concurrency` calls in
+ * flight, yielding each outcome as soon as it settles (completion order).
+ * A rejection is yielded as `{ item, error }` and does not stop the others.
+ * Outcomes are buffered, so none are lost while the consumer is busy.
+ *
+ * With `timeoutMs`, a call that takes too long is yielded early as a
+ * TimeoutError, but keeps its slot until it actually settles: the work
+ * cannot be cancelled, so it still counts against `concurrency`.
+ *
+ * @param {Iterable} items
+ * @param {function(*): Promise<*>} fn
+ * @param {number} [concurrency=4]
+ * @param {object} [options={}]
+ * @param {number} [options.timeoutMs=0] - Per-call budget (`0` disables).
+ * @yields {{ item: *, value?: *, error?: Error }}
+ */
+export async function* mapConcurrent(items, fn, concurrency = 4, options = {}) {
+    const { timeoutMs = 0 } = options;
+    const iterator = items[Symbol.iterator]();
+    const limit = Math.max(1, concurrency);
+    const settled = []; // Outcomes not yet yielded
+    let running = 0; // Calls holding a slot
+    let unreported = 0; // Calls whose outcome is not in `settled` yet
+    let exhausted = false;
+    let stopped = false;
+    let wake = null;
+
+    const notify = () => {
+        if (wake) wake();
+        wake = null;
+    };
+    const launch = () => {
+        const next = iterator.next();
+        if (next.done) {
+            exhausted = true;
+            return false;
+        }
+        const item = next.value;
+        running++;
+        unreported++;
+
+        let reported = false;
+        const report = (result) => {
+            if (reported) return;
+            reported = true;
+            unreported--;
+            settled.push(result);
+            notify();
+        };
+        const timer = timeoutMs && timeoutMs !== Infinity
+            ? setTimeout(() => report({ item, error: new TimeoutError(`Timed out after ${timeoutMs}ms`, timeoutMs) }), timeoutMs)
+            : null;
+
+        Promise.resolve()
+            .then(() => fn(item))
+            .then(value => ({ item, value }), error => ({ item, error }))
+            .then(result => {
                 clearTimeout(timer);
-                if (sub && typeof sub.close === 'function') sub.close();
-                resolve(event);
+                running--;
+                report(result);
+                // Keep the pool full even while the consumer handles earlier results
+                fill();
+                notify();
+            });
+        return true;
+    };
+    const fill = () => {
+        while (!stopped && running < limit && launch());
+    };
+
+    try {
+        fill();
+        while (settled.length > 0 || unreported > 0 || !exhausted) {
+            if (settled.length === 0) {
+                await new Promise(resolve => { wake = resolve; });
+                continue;
             }
-        });
-    });
+            yield settled.shift();
+        }
+    } finally {
+        // The consumer stopped early: start nothing new
+        stopped = true;
+    }
 }
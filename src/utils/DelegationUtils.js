@@ -0,0 +1,171 @@
+import { schnorr } from '@noble/curves/secp256k1.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { utf8ToBytes } from '@noble/hashes/utils.js';
+import { bytesToHex, hexToBytes } from 'nostr-tools/utils';
+import { ValidationError } from './Errors.js';
+
+const DELEGATION_PREFIX = 'nostr-over-bt:delegation:v1';
+const ROTATION_PREFIX = 'nostr-over-bt:rotation:v1';
+const REVOKED = 'revoked';
+
+/**
+ * Computes the message hash a Nostr key signs to authorize a transport key.
+ * @param {string} transportPubkey - Hex Ed25519 transport public key.
+ * @param {number} expiresAt - Unix timestamp after which the delegation is void.
+ * @returns {Uint8Array} - 32-byte SHA-256 digest.
+ */
+export function delegationHash(transportPubkey, expiresAt) {
+    return sha256(utf8ToBytes(`${DELEGATION_PREFIX}:${transportPubkey.toLowerCase()}:${expiresAt}`));
+}
+
+/**
+ * Signs a delegation from a Nostr key to a transport key.
+ * @param {Uint8Array|string|function} signer - Nostr secret key, or an async
+ *        callback receiving the hex message hash and returning a hex Schnorr signature.
+ * @param {string} transportPubkey - Hex transport public key being authorized.
+ * @param {number} expiresAt - Unix expiry timestamp.
+ * @returns {Promise<string>} - Hex-encoded 64-byte Schnorr signature.
+ */
+export async function signDelegation(signer, transportPubkey, expiresAt) {
+    return await signHash(signer, delegationHash(transportPubkey, expiresAt));
+}
+
+/**
+ * Signs a 32-byte hash with a Nostr secret key or external signer callback.
+ * @param {Uint8Array|string|function} signer
+ * @param {Uint8Array} hash
+ * @returns {Promise<string>} - Hex Schnorr signature.
+ */
+async function signHash(signer, hash) {
+    if (typeof signer === 'function') {
+        return await signer(bytesToHex(hash));
+    }
+    const secretKey = typeof signer === 'string' ? hexToBytes(signer) : signer;
+    return bytesToHex(schnorr.sign(hash, secretKey));
+}
+
+/**
+ * Verifies that a Nostr key authorized a transport key and that the
+ * authorization has not expired.
+ * @param {string} transportPubkey - Hex transport public key.
+ * @param {object} delegation - { nostrPubkey, sig, expiresAt }
+ * @param {number} [now] - Current Unix time (overridable for tests).
+ * @returns {boolean}
+ */
+export function verifyDelegation(transportPubkey, delegation, now = Math.floor(Date.now() / 1000)) {
+    if (!transportPubkey || !delegation) return false;
+    const { nostrPubkey, sig, expiresAt } = delegation;
+    if (!nostrPubkey || !sig || typeof expiresAt !== 'number') return false;
+    if (expiresAt <= now) return false;
+
+    try {
+        return schnorr.verify(hexToBytes(sig), delegationHash(transportPubkey, expiresAt), hexToBytes(nostrPubkey));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Extracts the delegation carried by an identity-bridge (Kind 30078) event.
+ * The tag layout is `['delegation', <sig>, <expiresAt>]`.
+ * @param {object} event - The attestation event.
+ * @returns {object|null} - { nostrPubkey, sig, expiresAt } or null.
+ */
+export function getAttestationDelegation(event) {
+    if (!event || !event.tags) return null;
+    const tag = event.tags.find(t => t[0] === 'delegation');
+    if (!tag || !tag[1] || !tag[2]) return null;
+    const expiresAt = parseInt(tag[2], 10);
+    if (!Number.isFinite(expiresAt)) return null;
+    return { nostrPubkey: event.pubkey, sig: tag[1], expiresAt };
+}
+
+/**
+ * Verifies an identity-bridge event: the content must be a transport key and
+ * the delegation tag must be a valid signature by the event author.
+ * @param {object} event - The Kind 30078 attestation event.
+ * @param {string} [nostrPubkey] - Expected author, if known.
+ * @returns {boolean}
+ */
+export function verifyAttestation(event, nostrPubkey = null) {
+    if (!event || typeof event.content !== 'string' || !/^[0-9a-f]{64}$/i.test(event.content)) return false;
+    if (nostrPubkey && event.pubkey !== nostrPubkey) return false;
+    return verifyDelegation(event.content, getAttestationDelegation(event));
+}
+
+/**
+ * Asserts that a delegation is valid, throwing otherwise.
+ * @param {string} transportPubkey
+ * @param {object} delegation
+ */
+export function assertDelegation(transportPubkey, delegation) {
+    if (!verifyDelegation(transportPubkey, delegation)) {
+        throw new ValidationError(`Invalid delegation for transport key ${transportPubkey.substring(0, 8)}`);
+    }
+}
+
+/**
+ * Computes the message hash a Nostr key signs to retire a transport key.
+ * @param {string} fromPubkey - Hex transport key being retired.
+ * @param {string|null} toPubkey - Hex successor key, or null for a plain revocation.
+ * @param {number} createdAt - Unix timestamp of the rotation.
+ * @returns {Uint8Array}
+ */
+export function rotationHash(fromPubkey, toPubkey, createdAt) {
+    const target = toPubkey ? toPubkey.toLowerCase() : REVOKED;
+    return sha256(utf8ToBytes(`${ROTATION_PREFIX}:${fromPubkey.toLowerCase()}:${target}:${createdAt}`));
+}
+
+/**
+ * Signs a rotation (or revocation when `toPubkey` is null).
+ * @param {Uint8Array|string|function} signer - Nostr secret key or signer callback.
+ * @param {string} fromPubkey
+ * @param {string|null} toPubkey
+ * @param {number} createdAt
+ * @returns {Promise<string>} - Hex Schnorr signature.
+ */
+export async function signRotation(signer, fromPubkey, toPubkey, createdAt) {
+    return await signHash(signer, rotationHash(fromPubkey, toPubkey, createdAt));
+}
+
+/**
+ * Verifies a rotation statement. Unlike delegations, rotations never expire.
+ * Only the Nostr key that delegated `fromPubkey` may retire it, so the
+ * statement must carry that delegation, valid when the rotation was signed.
+ * @param {string} fromPubkey - The key the statement was found under.
+ * @param {object} rotation - { nostrPubkey, to, sig, createdAt, delegation }
+ * @returns {boolean}
+ */
+export function verifyRotation(fromPubkey, rotation) {
+    if (!fromPubkey || !rotation) return false;
+    const { nostrPubkey, to, sig, createdAt, delegation } = rotation;
+    if (!nostrPubkey || !sig || typeof createdAt !== 'number') return false;
+    if (to && !/^[0-9a-f]{64}$/i.test(to)) return false;
+    if (!delegation || delegation.nostrPubkey !== nostrPubkey) return false;
+    if (!verifyDelegation(fromPubkey, delegation, createdAt)) return false;
+
+    try {
+        return schnorr.verify(hexToBytes(sig), rotationHash(fromPubkey, to || null, createdAt), hexToBytes(nostrPubkey));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Extracts the rotation carried by a rotation/revocation (Kind 30078) event.
+ * Tag layout: `['rotation', <sig>, <createdAt>]`, `['from', <key>]`, the
+ * delegation of `from` as `['delegation', <sig>, <expiresAt>]` and, unless
+ * the key was revoked outright, `['to', <key>]`.
+ * @param {object} event
+ * @returns {object|null} - { from, nostrPubkey, to, sig, createdAt, delegation } or null.
+ */
+export function getRotationFromEvent(event) {
+    if (!event || !event.tags) return null;
+    const tag = event.tags.find(t => t[0] === 'rotation');
+    const from = event.tags.find(t => t[0] === 'from')?.[1];
+    if (!tag || !tag[1] || !from) return null;
+    const createdAt = parseInt(tag[2], 10);
+    if (!Number.isFinite(createdAt)) return null;
+    const to = event.tags.find(t => t[0] === 'to')?.[1] || null;
+    return { from, nostrPubkey: event.pubkey, to, sig: tag[1], createdAt, delegation: getAttestationDelegation(event) };
+}
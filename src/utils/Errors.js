@@ -18,6 +18,16 @@ export class TransportError extends NostrBTError {
     }
 }
 
+/**
+ * Thrown when a BEP-44 put loses a compare-and-swap race against another writer.
+ */
+export class ConflictError extends TransportError {
+    constructor(message, code) {
+        super(message, "bittorrent");
+        this.code = code;
+    }
+}
+
 /**
  * Thrown when data validation fails (zod, signatures, hashes).
  */
@@ -27,6 +37,18 @@ export class ValidationError extends NostrBTError {
     }
 }
 
+/**
+ * Thrown when well-formed data fails an integrity check: the event id does not
+ * hash from its content, the signature is invalid, or the event is not the one
+ * that was asked for. Signals tampering rather than malformed input.
+ */
+export class IntegrityError extends ValidationError {
+    constructor(message, eventId = null) {
+        super(message);
+        this.eventId = eventId;
+    }
+}
+
 /**
  * Thrown when operations exceed their allocated time.
  */
@@ -0,0 +1,100 @@
+import { Limits } from '../Constants.js';
+
+/**
+ * Tag names summarized into feed index items (see summarizeTags).
+ */
+export const SUMMARY_TAGS = ['e', 'p', 't', 'd'];
+
+/**
+ * Checks an event against a single NIP-01 filter.
+ * `limit` is ignored (it bounds result sets, not individual events), as is
+ * NIP-50 `search`, whose semantics are left to each relay.
+ *
+ * @param {object} event - The Nostr event.
+ * @param {object} filter - NIP-01 filter.
+ * @returns {boolean}
+ */
+export function matchFilter(event, filter) {
+    if (!event || !filter) return false;
+    if (filter.ids && !filter.ids.includes(event.id)) return false;
+    if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+    if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+    if (filter.since !== undefined && event.created_at < filter.since) return false;
+    if (filter.until !== undefined && event.created_at > filter.until) return false;
+
+    for (const [key, values] of tagConditions(filter)) {
+        const tags = event.tags || [];
+        if (!tags.some(t => t[0] === key && values.includes(t[1]))) return false;
+    }
+    return true;
+}
+
+/**
+ * Checks an event against a list of filters (OR), like a REQ.
+ * @param {object} event
+ * @param {Array<object>} filters
+ * @returns {boolean}
+ */
+export function matchFilters(event, filters) {
+    return filters.some(filter => matchFilter(event, filter));
+}
+
+/**
+ * Checks whether a feed index item may hold an event matching the filter,
+ * without downloading the event. Uses the item's `id`, `kind`, `ts` and tag
+ * summary; conditions the item cannot answer (authors, other tags, summaries
+ * that were truncated or are missing in older indexes) are assumed to match,
+ * so the fetched event still has to be checked with matchFilter().
+ *
+ * @param {object} item - Feed index item: { id, magnet, ts, kind?, tags? }
+ * @param {object} filter - NIP-01 filter.
+ * @returns {boolean} - False only if the event certainly does not match.
+ */
+export function mayMatchIndexItem(item, filter) {
+    if (filter.ids && !filter.ids.includes(item.id)) return false;
+    if (filter.kinds && item.kind !== undefined && !filter.kinds.includes(item.kind)) return false;
+    if (filter.since !== undefined && item.ts < filter.since) return false;
+    if (filter.until !== undefined && item.ts > filter.until) return false;
+
+    if (!item.tags) return true;
+    for (const [key, values] of tagConditions(filter)) {
+        if (!SUMMARY_TAGS.includes(key)) continue;
+        const summary = item.tags[key];
+        if (summary === null) continue; // Truncated: too many values to list
+        if (!(summary || []).some(value => values.includes(value))) return false;
+    }
+    return true;
+}
+
+/**
+ * Builds the compact tag summary stored on feed index items: the values of
+ * each SUMMARY_TAGS tag present on the event. A tag with more than
+ * `Limits.FEED_ITEM_TAG_LIMIT` distinct values is recorded as `null`
+ * ("unknown"), keeping indexes of e.g. contact lists small.
+ *
+ * @param {object} event - The Nostr event.
+ * @returns {object} - e.g. { p: ['ab..'], t: ['nostr'] }; empty if the event has none of these tags.
+ */
+export function summarizeTags(event) {
+    const summary = {};
+    for (const tag of event.tags || []) {
+        const [key, value] = tag;
+        if (!SUMMARY_TAGS.includes(key) || typeof value !== 'string') continue;
+        const values = summary[key] || (summary[key] = []);
+        if (!values.includes(value)) values.push(value);
+    }
+
+    for (const key of Object.keys(summary)) {
+        if (summary[key].length > Limits.FEED_ITEM_TAG_LIMIT) summary[key] = null;
+    }
+    return summary;
+}
+
+/**
+ * @returns {Array<[string, Array<string>]>} - The filter's `#x` conditions as [x, values].
+ */
+function tagConditions(filter) {
+    return Object.entries(filter)
+        .filter(([key, values]) => key.length === 2 && key[0] === '#' && Array.isArray(values))
+        .map(([key, values]) => [key[1], values]);
+}
@@ -22,3 +22,24 @@ export function findAllTagValues(event, key) {
         .filter(t => t[0] === key)
         .map(t => t[1]);
 }
+
+/**
+ * Reads the NIP-40 expiration timestamp of an event.
+ * @param {object} event - The Nostr event.
+ * @returns {number|null} - Unix time the event expires at, or null if it does not.
+ */
+export function getExpiration(event) {
+    const value = findTagValue(event, 'expiration');
+    return typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : null;
+}
+
+/**
+ * Checks whether an event's NIP-40 expiration has passed.
+ * @param {object} event - The Nostr event.
+ * @param {number} [now] - Current Unix time.
+ * @returns {boolean}
+ */
+export function isExpired(event, now = Math.floor(Date.now() / 1000)) {
+    const expiration = getExpiration(event);
+    return expiration !== null && expiration <= now;
+}
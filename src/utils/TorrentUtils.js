@@ -0,0 +1,56 @@
+import bencode from 'bencode';
+import * as magnet from 'magnet-uri';
+import { sha1 } from '@noble/hashes/legacy.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+import { Limits } from '../Constants.js';
+
+/**
+ * Computes the BitTorrent v1 infohash of a single-file torrent without seeding it.
+ * Matches what create-torrent (and therefore WebTorrent) produces for the same
+ * buffer, name and piece length: the info dictionary is only
+ * `{ length, name, 'piece length', pieces }`.
+ *
+ * @param {Uint8Array} buffer - File contents.
+ * @param {string} name - File name.
+ * @param {number} [pieceLength=Limits.EVENT_PIECE_LENGTH]
+ * @returns {string} - Hex infohash.
+ */
+export function computeInfoHash(buffer, name, pieceLength = Limits.EVENT_PIECE_LENGTH) {
+    const pieces = new Uint8Array(Math.ceil(buffer.length / pieceLength) * 20);
+    for (let offset = 0, i = 0; offset < buffer.length; offset += pieceLength, i++) {
+        pieces.set(sha1(buffer.subarray(offset, offset + pieceLength)), i * 20);
+    }
+
+    const info = {
+        length: buffer.length,
+        name,
+        'piece length': pieceLength,
+        pieces
+    };
+    return bytesToHex(sha1(bencode.encode(info)));
+}
+
+/**
+ * Computes the magnet URI a single-file torrent will have once seeded.
+ * @param {Uint8Array} buffer - File contents.
+ * @param {string} name - File name.
+ * @param {number} [pieceLength=Limits.EVENT_PIECE_LENGTH]
+ * @returns {string} - Magnet URI (infohash + display name).
+ */
+export function computeMagnet(buffer, name, pieceLength = Limits.EVENT_PIECE_LENGTH) {
+    return magnet.encode({ infoHash: computeInfoHash(buffer, name, pieceLength), name });
+}
+
+/**
+ * Extracts the lowercase hex infohash from a magnet URI.
+ * @param {string} magnetUri
+ * @returns {string|null}
+ */
+export function getInfoHash(magnetUri) {
+    try {
+        const parsed = magnet.decode(magnetUri);
+        return parsed.infoHash ? parsed.infoHash.toLowerCase() : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,55 @@
+import { describe, test, expect } from '@jest/globals';
+import createTorrent from 'create-torrent';
+import bencode from 'bencode';
+import { sha1 } from '@noble/hashes/legacy.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+import { finalizeEvent, generateSecretKey } from 'nostr-tools';
+import { EventPackager } from '../src/core/EventPackager.js';
+import { computeInfoHash, getInfoHash } from '../src/utils/TorrentUtils.js';
+
+// Infohash of the torrent create-torrent (used by WebTorrent's seed) builds
+const createInfoHash = (buffer, name, pieceLength) => new Promise((resolve, reject) => {
+    createTorrent(buffer, { name, pieceLength }, (err, torrent) => {
+        if (err) return reject(err);
+        resolve(bytesToHex(sha1(bencode.encode(bencode.decode(torrent).info))));
+    });
+});
+
+describe('Canonical Event Torrents', () => {
+    const packager = new EventPackager();
+    const event = finalizeEvent({
+        created_at: 1700000000,
+        kind: 1,
+        tags: [['t', 'bittorrent'], ['p', 'ab'.repeat(32), 'wss://relay.example']],
+        content: 'Same event, same swarm.'
+    }, generateSecretKey());
+
+    test('package() should not depend on the key order of the input', () => {
+        const reordered = {
+            sig: event.sig, content: event.content, tags: event.tags,
+            kind: event.kind, created_at: event.created_at, pubkey: event.pubkey, id: event.id
+        };
+        expect(packager.package(reordered).equals(packager.package(event))).toBe(true);
+        expect(Object.keys(JSON.parse(packager.package(reordered)))).toEqual(['id', 'pubkey', 'created_at', 'kind', 'tags', 'content', 'sig']);
+    });
+
+    test('offline infohash should match create-torrent', async () => {
+        const { buffer, filename, pieceLength } = packager.packageTorrent(event);
+        expect(filename).toBe(`${event.id}.json`);
+        expect(computeInfoHash(buffer, filename, pieceLength)).toBe(await createInfoHash(buffer, filename, pieceLength));
+    });
+
+    test('offline infohash should match create-torrent for multi-piece files', async () => {
+        const large = finalizeEvent({ created_at: 1700000000, kind: 30023, tags: [], content: 'x'.repeat(40000) }, generateSecretKey());
+        const { buffer, filename, pieceLength } = packager.packageTorrent(large);
+        expect(computeInfoHash(buffer, filename, pieceLength)).toBe(await createInfoHash(buffer, filename, pieceLength));
+    });
+
+    test('getMagnet/matchesMagnet should verify a claimed magnet', () => {
+        const magnetUri = packager.getMagnet(event);
+        expect(getInfoHash(magnetUri)).toMatch(/^[0-9a-f]{40}$/);
+        expect(packager.matchesMagnet({ ...event }, magnetUri)).toBe(true);
+        expect(packager.matchesMagnet(event, 'magnet:?xt=urn:btih:' + 'ab'.repeat(20))).toBe(false);
+        expect(packager.matchesMagnet(event, 'not a magnet')).toBe(false);
+    });
+});
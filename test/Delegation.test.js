@@ -0,0 +1,103 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { FeedTracker } from '../src/core/FeedTracker.js';
+import { TransportManager } from '../src/core/TransportManager.js';
+import { schnorr } from '@noble/curves/secp256k1.js';
+import { signDelegation, verifyDelegation, verifyAttestation } from '../src/utils/DelegationUtils.js';
+import { MockBT } from './helpers/MockSwarm.js';
+
+describe('Transport Key Delegation', () => {
+    let nostrSk;
+    let nostrPk;
+    let identity;
+
+    beforeEach(async () => {
+        nostrSk = generateSecretKey();
+        nostrPk = getPublicKey(nostrSk);
+        identity = new IdentityManager();
+        identity.generate();
+        await identity.delegate(nostrSk);
+    });
+
+    test('delegate() should produce a verifiable signature', () => {
+        expect(identity.nostrPubkey).toBe(nostrPk);
+        expect(verifyDelegation(identity.getPublicKey(), identity.delegation)).toBe(true);
+    });
+
+    test('should reject expired delegations', async () => {
+        const expiresAt = Math.floor(Date.now() / 1000) - 10;
+        const sig = await signDelegation(nostrSk, identity.getPublicKey(), expiresAt);
+        expect(verifyDelegation(identity.getPublicKey(), { nostrPubkey: nostrPk, sig, expiresAt })).toBe(false);
+    });
+
+    test('should reject a delegation replayed for another transport key', () => {
+        const other = new IdentityManager();
+        other.generate();
+        expect(verifyDelegation(other.getPublicKey(), identity.delegation)).toBe(false);
+    });
+
+    test('should support external signer callbacks', async () => {
+        const external = new IdentityManager(null, nostrPk);
+        external.generate();
+
+        const signer = jest.fn(async (hashHex) => Buffer.from(schnorr.sign(Buffer.from(hashHex, 'hex'), nostrSk)).toString('hex'));
+        const delegation = await external.delegate(signer);
+        expect(signer).toHaveBeenCalled();
+        expect(verifyDelegation(external.getPublicKey(), delegation)).toBe(true);
+    });
+
+    test('attestation events should carry the delegation', () => {
+        const attestation = identity.createAttestation();
+        expect(attestation.pubkey).toBe(nostrPk);
+        expect(verifyAttestation(attestation, nostrPk)).toBe(true);
+
+        const squatted = { ...attestation, pubkey: getPublicKey(generateSecretKey()) };
+        expect(verifyAttestation(squatted, squatted.pubkey)).toBe(false);
+    });
+
+    test('FeedTracker should reject DHT records claiming another Nostr key', async () => {
+        const bt = new MockBT();
+        const manager = { transport: { bt, nostr: null } };
+        manager.feedManager = new FeedManager(bt, identity);
+        const tracker = new FeedTracker(manager);
+
+        // Squatter publishes a record with a forged delegation for the victim
+        const squatter = new IdentityManager();
+        squatter.generate();
+        squatter.delegation = { ...identity.delegation };
+        await new FeedManager(bt, squatter).publishFeedPointer('ab'.repeat(20));
+
+        expect(await tracker.discover(squatter.getPublicKey(), nostrPk)).toBeNull();
+
+        await manager.feedManager.publishFeedPointer('cd'.repeat(20));
+        expect(await tracker.discover(identity.getPublicKey(), nostrPk)).toContain('cd'.repeat(20));
+    });
+
+    test('resolveTransportKey should ignore attestations without a valid delegation', async () => {
+        const nostr = {
+            subscribe: jest.fn((filter, cb, options) => {
+                cb({ ...identity.createAttestation(), tags: [['d', 'nostr-over-bt-identity']] });
+                options.onEose();
+                return { close: () => {} };
+            })
+        };
+        const manager = new TransportManager({ nostr, bt: new MockBT() });
+
+        expect(await manager.resolveTransportKey(nostrPk)).toBeNull();
+    }, 10000);
+
+    test('resolveTransportKey should accept a delegated attestation', async () => {
+        const nostr = {
+            subscribe: jest.fn((filter, cb, options) => {
+                cb(identity.createAttestation());
+                options.onEose();
+                return { close: () => {} };
+            })
+        };
+        const manager = new TransportManager({ nostr, bt: new MockBT() });
+
+        expect(await manager.resolveTransportKey(nostrPk)).toBe(identity.getPublicKey());
+    });
+});
@@ -1,16 +1,15 @@
+import { finalizeEvent, generateSecretKey } from 'nostr-tools';
 import { EventPackager } from '../src/core/EventPackager.js';
+import { IntegrityError, ValidationError } from '../src/utils/Errors.js';
 
 describe('EventPackager', () => {
     const packager = new EventPackager();
-    const mockEvent = {
-        id: '123',
-        pubkey: 'abc',
+    const mockEvent = { ...finalizeEvent({
         created_at: 123456789,
         kind: 1,
         tags: [],
-        content: 'Hello BT!',
-        sig: 'sig123'
-    };
+        content: 'Hello BT!'
+    }, generateSecretKey()) };
 
     test('should package an event into a buffer', () => {
         const buffer = packager.package(mockEvent);
@@ -26,7 +25,7 @@ describe('EventPackager', () => {
 
     test('should generate a correct filename', () => {
         const filename = packager.getFilename(mockEvent);
-        expect(filename).toBe('123.json');
+        expect(filename).toBe(`${mockEvent.id}.json`);
     });
 
     test('should throw error on invalid event', () => {
@@ -36,4 +35,33 @@ describe('EventPackager', () => {
     test('should throw error on invalid unpacking data', () => {
         expect(() => packager.unpack("not json")).toThrow("Failed to unpack event");
     });
+
+    test('strict mode should reject tampered content', () => {
+        const forged = Buffer.from(JSON.stringify({ ...mockEvent, content: 'Forged!' }));
+        expect(() => packager.unpack(forged)).toThrow(IntegrityError);
+    });
+
+    test('strict mode should reject an invalid signature', () => {
+        const forged = Buffer.from(JSON.stringify({ ...mockEvent, sig: 'ab'.repeat(64) }));
+        expect(() => packager.unpack(forged)).toThrow(IntegrityError);
+    });
+
+    test('strict mode should reject incomplete events as malformed', () => {
+        const { sig: _sig, ...unsigned } = mockEvent;
+        const error = (() => { try { packager.unpack(JSON.stringify(unsigned)); } catch (e) { return e; } })();
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error).not.toBeInstanceOf(IntegrityError);
+    });
+
+    test('should reject an event that is not the expected one', () => {
+        const buffer = packager.package(mockEvent);
+        expect(() => packager.unpack(buffer, { expectedId: 'ff'.repeat(32) })).toThrow(IntegrityError);
+        expect(packager.unpack(buffer, { expectedId: mockEvent.id }).id).toBe(mockEvent.id);
+    });
+
+    test('lenient mode should only warn on bad signatures', () => {
+        const lenient = new EventPackager({ strict: false });
+        const forged = Buffer.from(JSON.stringify({ ...mockEvent, content: 'Forged!' }));
+        expect(lenient.unpack(forged).content).toBe('Forged!');
+    });
 });
@@ -0,0 +1,94 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { FeedIndex } from '../src/core/FeedIndex.js';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { TransportManager } from '../src/core/TransportManager.js';
+import { MockBT } from './helpers/MockSwarm.js';
+
+const eventMagnet = 'magnet:?xt=urn:btih:' + 'ee'.repeat(20);
+
+describe('Paginated Feed History', () => {
+    let bt;
+    let identity;
+    let feedManager;
+    let manager;
+
+    beforeEach(async () => {
+        bt = new MockBT();
+        identity = new IdentityManager();
+        identity.generate();
+        feedManager = new FeedManager(bt, identity, { indexLimit: 4 });
+        manager = new TransportManager({ bt, nostr: null }, { feedManager });
+
+        for (let i = 1; i <= 10; i++) {
+            await feedManager.updateFeed({ id: `evt${i}`, created_at: i * 100, kind: 1 }, eventMagnet);
+        }
+    });
+
+    test('FeedIndex should page out overflow instead of dropping it', () => {
+        const index = new FeedIndex(4, 2);
+        for (let i = 1; i <= 5; i++) index.add({ id: `${i}`, created_at: i }, eventMagnet);
+
+        expect(index.items.map(i => i.id)).toEqual(['5', '4', '3']);
+        expect(index.overflow).toEqual([[expect.objectContaining({ id: '2' }), expect.objectContaining({ id: '1' })]]);
+    });
+
+    test('head index should link to immutable archive pages', () => {
+        expect(feedManager.index.items.length).toBeLessThanOrEqual(4);
+        expect(feedManager.index.prev).toMatch(/^magnet:/);
+        expect(feedManager.index.overflow).toEqual([]);
+
+        const head = JSON.parse(bt.torrents.get(feedManager.lastInfoHash).toString());
+        expect(head.prev).toBe(feedManager.index.prev);
+    });
+
+    test('subscribeP2P should return only the head page by default', async () => {
+        const items = await manager.subscribeP2P(identity.getPublicKey());
+        expect(items.map(i => i.id)).toEqual(feedManager.index.items.map(i => i.id));
+    });
+
+    test('subscribeP2P should backfill the whole history', async () => {
+        const items = await manager.subscribeP2P(identity.getPublicKey(), null, { pages: Infinity });
+        expect(items.map(i => i.id)).toEqual([10, 9, 8, 7, 6, 5, 4, 3, 2, 1].map(i => `evt${i}`));
+    });
+
+    test('subscribeP2P should page backwards from until', async () => {
+        const items = await manager.subscribeP2P(identity.getPublicKey(), null, { until: 500, pages: 1 });
+        expect(items.length).toBeGreaterThan(0);
+        expect(items.every(i => i.ts <= 500)).toBe(true);
+        expect(items[0].id).toBe('evt5');
+    });
+
+    test('subscribeP2P should return what it has when an archive page is missing', async () => {
+        const head = JSON.parse(bt.torrents.get(feedManager.lastInfoHash).toString());
+        const older = JSON.parse(bt.torrents.get(head.prev.match(/btih:([0-9a-f]+)/)[1]).toString());
+        bt.torrents.delete(older.prev.match(/btih:([0-9a-f]+)/)[1]);
+
+        const items = await manager.subscribeP2P(identity.getPublicKey(), null, { pages: Infinity });
+        expect(items.map(i => i.id)).toEqual([...head.items, ...older.items].map(i => i.id));
+    });
+
+    test('subscribeP2P should apply tag filters to index items across pages', async () => {
+        await feedManager.updateFeed({ id: 'tagged1', created_at: 1100, kind: 1, tags: [['t', 'nostr']] }, eventMagnet);
+        for (let i = 12; i <= 16; i++) {
+            await feedManager.updateFeed({ id: `evt${i}`, created_at: i * 100, kind: 1, tags: [['t', 'other']] }, eventMagnet);
+        }
+
+        const items = await manager.subscribeP2P(identity.getPublicKey(), null, { pages: Infinity, filter: { '#t': ['nostr'] } });
+        expect(items.map(i => i.id)).toEqual(['tagged1']);
+        expect(items[0].tags).toEqual({ t: ['nostr'] });
+    });
+
+    test('subscribeP2P should bound filtered paging', async () => {
+        const fetch = jest.spyOn(bt, 'fetch');
+
+        // Pages without matches still count
+        expect(await manager.subscribeP2P(identity.getPublicKey(), null, { pages: 2, filter: { kinds: [7] } })).toEqual([]);
+        expect(fetch).toHaveBeenCalledTimes(2);
+
+        fetch.mockClear();
+        const items = await manager.subscribeP2P(identity.getPublicKey(), null, { pages: Infinity, filter: { since: 800 } });
+        expect(items.map(i => i.id)).toEqual(['evt10', 'evt9', 'evt8']);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+});
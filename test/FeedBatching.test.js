@@ -0,0 +1,53 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { MockBT } from './helpers/MockSwarm.js';
+
+const eventMagnet = 'magnet:?xt=urn:btih:' + 'ee'.repeat(20);
+const event = (i) => ({ id: `evt${i}`, created_at: 1000 + i, kind: 1 });
+
+describe('Feed Update Batching', () => {
+    let bt;
+    let identity;
+
+    beforeEach(() => {
+        bt = new MockBT();
+        identity = new IdentityManager();
+        identity.generate();
+    });
+
+    test('should publish a burst within the window as one index and one put', async () => {
+        const feedManager = new FeedManager(bt, identity, { batchWindowMs: 50 });
+
+        const results = await Promise.all([1, 2, 3, 4, 5].map(i => feedManager.updateFeed(event(i), eventMagnet)));
+
+        expect(new Set(results).size).toBe(1);
+        expect(bt.torrents.size).toBe(1);
+        expect(bt.dht.puts).toHaveLength(1);
+        expect(feedManager.index.items.length).toBe(5);
+    });
+
+    test('should coalesce updates arriving while a publish is in flight', async () => {
+        const feedManager = new FeedManager(bt, identity);
+
+        const first = feedManager.updateFeed(event(1), eventMagnet);
+        await new Promise(resolve => setImmediate(resolve));
+        const rest = [2, 3, 4, 5].map(i => feedManager.updateFeed(event(i), eventMagnet));
+        await Promise.all([first, ...rest]);
+
+        expect(bt.dht.puts).toHaveLength(2);
+        const record = await feedManager.resolveFeedPointer(identity.getPublicKey());
+        expect(JSON.parse(bt.torrents.get(record.infoHash).toString()).items.length).toBe(5);
+    });
+
+    test('should destroy superseded index torrents', async () => {
+        const feedManager = new FeedManager(bt, identity);
+
+        await feedManager.updateFeed(event(1), eventMagnet);
+        await feedManager.updateFeed(event(2), eventMagnet);
+        await feedManager.updateFeed(event(3), eventMagnet);
+
+        expect(bt.removed.length).toBe(2);
+        expect(Array.from(bt.torrents.keys())).toEqual([feedManager.lastInfoHash]);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { FeedIndex } from '../src/core/FeedIndex.js';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { TransportManager } from '../src/core/TransportManager.js';
+import { ConflictError, ValidationError } from '../src/utils/Errors.js';
+import { MockDHT, MockBT } from './helpers/MockSwarm.js';
+
+const event = (id, ts) => ({ id: id.padEnd(64, '0'), kind: 1, created_at: ts });
+const eventMagnet = 'magnet:?xt=urn:btih:' + 'ee'.repeat(20);
+
+describe('Multi-device Feed Updates', () => {
+    let identity;
+    let dht;
+    let torrents;
+
+    beforeEach(() => {
+        identity = new IdentityManager();
+        identity.generate();
+        dht = new MockDHT();
+        torrents = new Map();
+    });
+
+    test('FeedIndex.merge should union by id and order by ts', () => {
+        const index = new FeedIndex(3);
+        index.add(event('a', 10), eventMagnet);
+        index.add(event('c', 30), eventMagnet);
+
+        index.merge([
+            { id: 'a'.padEnd(64, '0'), magnet: eventMagnet, ts: 10, kind: 1 },
+            { id: 'b'.padEnd(64, '0'), magnet: eventMagnet, ts: 20, kind: 1 },
+            { id: 'd'.padEnd(64, '0'), magnet: eventMagnet, ts: 5, kind: 1 }
+        ]);
+
+        expect(index.items.map(i => i.ts)).toEqual([30, 20, 10]);
+    });
+
+    test('publishFeedPointer should send cas and surface conflicts', async () => {
+        const phone = new FeedManager(new MockBT(dht, torrents), identity);
+        const laptop = new FeedManager(new MockBT(dht, torrents), identity);
+
+        await phone.publishFeedPointer('aa'.repeat(20));
+        await laptop.syncSequence();
+        await phone.publishFeedPointer('bb'.repeat(20));
+
+        await expect(laptop.publishFeedPointer('cc'.repeat(20))).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    test('phone and laptop should both publish without losing posts', async () => {
+        const phone = new FeedManager(new MockBT(dht, torrents), identity);
+        const laptop = new FeedManager(new MockBT(dht, torrents), identity);
+
+        await phone.updateFeed(event('01', 100), eventMagnet);
+        await laptop.updateFeed(event('02', 200), eventMagnet);
+        await phone.updateFeed(event('03', 300), eventMagnet);
+        await laptop.updateFeed(event('04', 400), eventMagnet);
+
+        const record = await laptop.resolveFeedPointer(identity.getPublicKey());
+        const published = new FeedIndex();
+        published.loadFromBuffer(torrents.get(record.infoHash));
+
+        expect(published.items.map(i => i.id.substring(0, 2))).toEqual(['04', '03', '02', '01']);
+        expect(record.seq).toBe(4);
+    });
+
+    test('should not publish over a remote index it cannot read', async () => {
+        const phone = new FeedManager(new MockBT(dht, torrents), identity);
+        const laptop = new FeedManager(new MockBT(dht, torrents), identity);
+        await laptop.restore();
+
+        await phone.updateFeed(event('01', 100), eventMagnet);
+        const record = await phone.resolveFeedPointer(identity.getPublicKey());
+        torrents.set(record.infoHash, Buffer.from('{not json'));
+
+        await expect(laptop.updateFeed(event('02', 200), eventMagnet)).rejects.toBeInstanceOf(ValidationError);
+        expect(laptop.lastSeq).toBeNull();
+        expect((await laptop.resolveFeedPointer(identity.getPublicKey())).infoHash).toBe(record.infoHash);
+    });
+
+    test('merging should keep both devices\' archive chains reachable', async () => {
+        const phone = new FeedManager(new MockBT(dht, torrents), identity, { indexLimit: 2 });
+        const laptop = new FeedManager(new MockBT(dht, torrents), identity, { indexLimit: 2 });
+        await laptop.restore();
+
+        for (let i = 1; i <= 4; i++) await phone.updateFeed(event(`0${i}`, i * 100), eventMagnet);
+        // The laptop archives its own history before it sees the phone's
+        for (let i = 5; i <= 7; i++) laptop.index.add(event(`0${i}`, i * 10), eventMagnet);
+        await laptop.updateFeed(event('08', 800), eventMagnet);
+
+        const manager = new TransportManager({ bt: laptop.bt, nostr: null }, { feedManager: laptop });
+        const items = await manager.subscribeP2P(identity.getPublicKey(), null, { pages: Infinity });
+
+        expect(items.map(i => i.id.substring(0, 2)).sort()).toEqual(['01', '02', '03', '04', '05', '06', '07', '08']);
+    });
+});
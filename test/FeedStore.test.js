@@ -0,0 +1,96 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { MemoryFeedStore } from '../src/storage/MemoryFeedStore.js';
+import { FileFeedStore } from '../src/storage/FileFeedStore.js';
+import { MockDHT, MockBT } from './helpers/MockSwarm.js';
+
+const eventMagnet = 'magnet:?xt=urn:btih:' + 'ee'.repeat(20);
+
+describe('FeedManager State Persistence', () => {
+    let identity;
+    let tmpDir;
+
+    beforeEach(() => {
+        identity = new IdentityManager();
+        identity.generate();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('FileFeedStore should round-trip state', async () => {
+        const store = new FileFeedStore(tmpDir);
+        expect(await store.load('abc')).toBeNull();
+
+        await store.save('abc', { seq: 3, lastInfoHash: null, index: { updated_at: 1, items: [] } });
+        expect((await store.load('abc')).seq).toBe(3);
+
+        await store.clear('abc');
+        expect(await store.load('abc')).toBeNull();
+    });
+
+    test('should restore items and seq from the store after a restart', async () => {
+        const store = new FileFeedStore(tmpDir);
+        const bt = new MockBT();
+
+        const first = new FeedManager(bt, identity, { store });
+        await first.updateFeed({ id: 'evt1', created_at: 100, kind: 1 }, eventMagnet);
+        await first.updateFeed({ id: 'evt2', created_at: 200, kind: 1 }, eventMagnet);
+
+        const restarted = new FeedManager(bt, identity, { store });
+        await restarted.updateFeed({ id: 'evt3', created_at: 300, kind: 1 }, eventMagnet);
+
+        expect(restarted.index.items.map(i => i.id)).toEqual(['evt3', 'evt2', 'evt1']);
+        expect(bt.dht.store.get(identity.getPublicKey()).seq).toBe(3);
+    });
+
+    test('should rehydrate the last published index from the DHT when no local state exists', async () => {
+        const dht = new MockDHT();
+        const torrents = new Map();
+
+        const laptop = new FeedManager(new MockBT(dht, torrents), identity, { store: new MemoryFeedStore() });
+        await laptop.updateFeed({ id: 'evt1', created_at: 100, kind: 1 }, eventMagnet);
+
+        const store = new MemoryFeedStore();
+        const fresh = new FeedManager(new MockBT(dht, torrents), identity, { store });
+        await fresh.updateFeed({ id: 'evt2', created_at: 200, kind: 1 }, eventMagnet);
+
+        expect(fresh.index.items.map(i => i.id)).toEqual(['evt2', 'evt1']);
+        expect(dht.store.get(identity.getPublicKey()).seq).toBe(2);
+        expect((await store.load(identity.getPublicKey())).index.items).toHaveLength(2);
+    });
+
+    test('should refuse to overwrite the feed when the published index cannot be fetched', async () => {
+        const dht = new MockDHT();
+        const laptop = new FeedManager(new MockBT(dht), identity);
+        await laptop.updateFeed({ id: 'evt1', created_at: 100, kind: 1 }, eventMagnet);
+
+        const offline = new FeedManager(new MockBT(dht), identity);
+        await expect(offline.updateFeed({ id: 'evt2', created_at: 200, kind: 1 }, eventMagnet))
+            .rejects.toThrow('Failed to rehydrate feed index');
+        expect(dht.store.get(identity.getPublicKey()).seq).toBe(1);
+    });
+
+    test('should refuse to overwrite the feed when the published index is unreadable', async () => {
+        const dht = new MockDHT();
+        const torrents = new Map();
+        const laptop = new FeedManager(new MockBT(dht, torrents), identity);
+        await laptop.updateFeed({ id: 'evt1', created_at: 100, kind: 1 }, eventMagnet);
+
+        for (const corrupt of [Buffer.from('{not json'), Buffer.from(JSON.stringify({ items: 'none' }))]) {
+            for (const hash of torrents.keys()) torrents.set(hash, corrupt);
+            const store = new MemoryFeedStore();
+            const fresh = new FeedManager(new MockBT(dht, torrents), identity, { store });
+            await expect(fresh.updateFeed({ id: 'evt2', created_at: 200, kind: 1 }, eventMagnet))
+                .rejects.toThrow('Failed to rehydrate feed index');
+            expect(await store.load(identity.getPublicKey())).toBeNull();
+        }
+        expect(dht.store.get(identity.getPublicKey()).seq).toBe(1);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, test, expect } from '@jest/globals';
+import { matchFilter, matchFilters, mayMatchIndexItem, summarizeTags } from '../src/utils/FilterUtils.js';
+import { FeedIndex } from '../src/core/FeedIndex.js';
+import { Limits } from '../src/Constants.js';
+
+describe('FilterUtils', () => {
+    const event = {
+        id: 'a'.repeat(64),
+        pubkey: 'b'.repeat(64),
+        created_at: 1000,
+        kind: 1,
+        tags: [['e', 'c'.repeat(64)], ['p', 'd'.repeat(64)], ['t', 'nostr'], ['t', 'bittorrent'], ['r', 'https://example.com']],
+        content: 'hello',
+        sig: 's'
+    };
+    const magnet = 'magnet:?xt=urn:btih:' + 'ee'.repeat(20);
+
+    test('matchFilter should apply every NIP-01 condition', () => {
+        expect(matchFilter(event, {})).toBe(true);
+        expect(matchFilter(event, { ids: [event.id], authors: [event.pubkey], kinds: [1, 7] })).toBe(true);
+        expect(matchFilter(event, { kinds: [7] })).toBe(false);
+        expect(matchFilter(event, { authors: ['f'.repeat(64)] })).toBe(false);
+        expect(matchFilter(event, { since: 1000, until: 1000 })).toBe(true);
+        expect(matchFilter(event, { since: 1001 })).toBe(false);
+        expect(matchFilter(event, { until: 999 })).toBe(false);
+        expect(matchFilter(event, { '#t': ['bittorrent', 'other'], '#r': ['https://example.com'] })).toBe(true);
+        expect(matchFilter(event, { '#t': ['other'] })).toBe(false);
+        expect(matchFilter(event, { '#a': ['30023:x:y'] })).toBe(false);
+        expect(matchFilter(event, { kinds: [1], limit: 0 })).toBe(true);
+    });
+
+    test('matchFilters should OR the filters', () => {
+        expect(matchFilters(event, [{ kinds: [7] }, { '#p': ['d'.repeat(64)] }])).toBe(true);
+        expect(matchFilters(event, [{ kinds: [7] }, { since: 2000 }])).toBe(false);
+        expect(matchFilters(event, [])).toBe(false);
+    });
+
+    test('summarizeTags should keep e/p/t/d values and give up on long lists', () => {
+        expect(summarizeTags(event)).toEqual({ e: ['c'.repeat(64)], p: ['d'.repeat(64)], t: ['nostr', 'bittorrent'] });
+        expect(summarizeTags({ tags: [] })).toEqual({});
+
+        const follows = Array.from({ length: Limits.FEED_ITEM_TAG_LIMIT + 1 }, (_, i) => ['p', i.toString(16).padStart(64, '0')]);
+        expect(summarizeTags({ tags: [...follows, ['d', 'x'], ['d', 'x']] })).toEqual({ p: null, d: ['x'] });
+    });
+
+    test('mayMatchIndexItem should rule out items only when certain', () => {
+        const index = new FeedIndex();
+        index.add(event, magnet);
+        const [item] = index.items;
+
+        expect(mayMatchIndexItem(item, { kinds: [1], '#t': ['nostr'], since: 900 })).toBe(true);
+        expect(mayMatchIndexItem(item, { kinds: [7] })).toBe(false);
+        expect(mayMatchIndexItem(item, { '#t': ['other'] })).toBe(false);
+        expect(mayMatchIndexItem(item, { '#d': ['x'] })).toBe(false);
+        expect(mayMatchIndexItem(item, { until: 999 })).toBe(false);
+
+        // Conditions the item cannot answer pass
+        expect(mayMatchIndexItem(item, { authors: ['f'.repeat(64)], '#r': ['other'] })).toBe(true);
+        expect(mayMatchIndexItem({ ...item, tags: { p: null } }, { '#p': ['f'.repeat(64)] })).toBe(true);
+        expect(mayMatchIndexItem({ id: item.id, magnet, ts: 1000 }, { kinds: [7], '#t': ['other'] })).toBe(true);
+    });
+
+    test('FeedIndex should round-trip tag summaries and accept items without them', () => {
+        const index = new FeedIndex();
+        index.add(event, magnet);
+
+        const loaded = new FeedIndex();
+        loaded.loadFromBuffer(index.toBuffer());
+        expect(loaded.items[0].tags).toEqual(summarizeTags(event));
+
+        const legacy = new FeedIndex();
+        legacy.loadState({ updated_at: 1, items: [{ id: event.id, magnet, ts: 1000, kind: 1 }] });
+        expect(legacy.items).toHaveLength(1);
+    });
+});
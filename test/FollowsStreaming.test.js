@@ -0,0 +1,104 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { TransportManager } from '../src/core/TransportManager.js';
+import { TimeoutError } from '../src/utils/Errors.js';
+import { Kinds } from '../src/Constants.js';
+
+describe('Streaming Follows Sync', () => {
+    const pk = (n) => n.toString(16).padStart(64, '0');
+    let manager;
+    let wot;
+    let inFlight;
+    let peak;
+
+    // Feeds answer after `delays[pubkey]` ms; `null` never answers
+    const mockFeeds = (delays, feeds = {}) => {
+        manager.resolveTransportKey = jest.fn(async (npk) => `t-${npk}`);
+        manager.subscribeP2P = jest.fn(async (tpk, npk) => {
+            if (delays[npk] === null) return new Promise(() => {});
+            peak = Math.max(peak, ++inFlight);
+            await new Promise(resolve => setTimeout(resolve, delays[npk] ?? 0));
+            inFlight--;
+            return feeds[npk] || [{ id: `note-${npk.substring(60)}`, ts: delays[npk] ?? 0, kind: 1, magnet: 'magnet:?xt=urn:btih:x' }];
+        });
+    };
+
+    beforeEach(() => {
+        inFlight = 0;
+        peak = 0;
+        wot = { follows: new Map(), maxDegree: 2, getPubkeysAtDegree: jest.fn(), _parseContactList: jest.fn() };
+        manager = new TransportManager({ bt: {}, nostr: null }, { wotManager: wot, feedManager: {} });
+    });
+
+    test('should yield each follow as it resolves within the concurrency limit', async () => {
+        const delays = { [pk(1)]: 200, [pk(2)]: 5, [pk(3)]: 20, [pk(4)]: 5, [pk(5)]: 5 };
+        Object.keys(delays).forEach(npk => wot.follows.set(npk, { degree: 1 }));
+        mockFeeds(delays);
+
+        const order = [];
+        for await (const { pubkey, items } of manager.streamFollowsP2P({ concurrency: 2 })) {
+            expect(items).toHaveLength(1);
+            order.push(pubkey);
+        }
+
+        expect(order).toEqual([pk(2), pk(3), pk(4), pk(5), pk(1)]);
+        expect(peak).toBe(2);
+    });
+
+    test('should time out slow follows and report progress', async () => {
+        const delays = { [pk(1)]: null, [pk(2)]: 5 };
+        Object.keys(delays).forEach(npk => wot.follows.set(npk, { degree: 1 }));
+        mockFeeds(delays);
+
+        const onProgress = jest.fn();
+        const results = [];
+        for await (const result of manager.streamFollowsP2P({ timeoutMs: 30, onProgress })) results.push(result);
+
+        expect(results[0]).toEqual({ pubkey: pk(2), items: [expect.objectContaining({ id: 'note-0002' })] });
+        expect(results[1].pubkey).toBe(pk(1));
+        expect(results[1].items).toEqual([]);
+        expect(results[1].error).toBeInstanceOf(TimeoutError);
+
+        expect(onProgress.mock.calls.map(([p]) => [p.done, p.total, p.failed])).toEqual([[1, 2, 0], [2, 2, 1]]);
+        expect(onProgress.mock.calls[1][0].error).toBeInstanceOf(TimeoutError);
+    });
+
+    test('should keep timed-out follows in their slot until they settle', async () => {
+        const delays = { [pk(1)]: 100, [pk(2)]: 100, [pk(3)]: 5, [pk(4)]: 5 };
+        Object.keys(delays).forEach(npk => wot.follows.set(npk, { degree: 1 }));
+        mockFeeds(delays);
+
+        const results = [];
+        for await (const result of manager.streamFollowsP2P({ concurrency: 2, timeoutMs: 20 })) results.push(result);
+
+        // The slow pair is reported early but still occupies both slots
+        expect(results.slice(0, 2).map(r => r.error)).toEqual([expect.any(TimeoutError), expect.any(TimeoutError)]);
+        expect(results.slice(2).map(r => r.pubkey)).toEqual([pk(3), pk(4)]);
+        expect(peak).toBe(2);
+    });
+
+    test('subscribeFollowsP2P should collect the stream newest first and skip failures', async () => {
+        const delays = { [pk(1)]: 10, [pk(2)]: null, [pk(3)]: 30 };
+        Object.keys(delays).forEach(npk => wot.follows.set(npk, { degree: 1 }));
+        mockFeeds(delays);
+
+        const items = await manager.subscribeFollowsP2P({ timeoutMs: 50 });
+        expect(items.map(i => i.id)).toEqual(['note-0003', 'note-0001']);
+    });
+
+    test('syncWoTRecursiveP2P should expand the graph with bounded concurrency', async () => {
+        const level1 = [pk(1), pk(2), pk(3), pk(4)];
+        wot.getPubkeysAtDegree.mockReturnValue(level1);
+        const contactList = (npk) => [{ id: `contacts-${npk}`, ts: 1, kind: Kinds.Contacts, magnet: 'magnet:?xt=urn:btih:c' }];
+        mockFeeds({ [pk(1)]: 10, [pk(2)]: 10, [pk(3)]: null, [pk(4)]: 10 }, Object.fromEntries(level1.map(npk => [npk, contactList(npk)])));
+        manager.fetchEventP2P = jest.fn(async (item) => ({ id: item.id, kind: Kinds.Contacts, tags: [] }));
+
+        const onProgress = jest.fn();
+        await manager.syncWoTRecursiveP2P({ concurrency: 2, timeoutMs: 50, onProgress });
+
+        expect(peak).toBe(2);
+        expect(wot._parseContactList).toHaveBeenCalledTimes(3);
+        expect(wot._parseContactList).toHaveBeenCalledWith({ id: `contacts-${pk(1)}`, kind: Kinds.Contacts, tags: [] }, 2);
+        const last = onProgress.mock.calls.at(-1)[0];
+        expect(last).toMatchObject({ degree: 1, done: 4, total: 4, failed: 1, pubkey: pk(3) });
+    });
+});
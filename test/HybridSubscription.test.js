@@ -0,0 +1,115 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import { HybridTransport } from '../src/transport/HybridTransport.js';
+import { NostrTransport } from '../src/transport/NostrTransport.js';
+import { Sources } from '../src/Constants.js';
+
+// Mock transports that expose their callbacks so tests can drive both sides
+class MockSide {
+    subscribe = jest.fn((filter, onEvent, options) => {
+        this.onEvent = onEvent;
+        this.options = options;
+        return this.sub;
+    });
+    sub = { close: jest.fn() };
+}
+
+describe('HybridTransport Subscriptions', () => {
+    const event = (n) => ({ id: n.toString(16).padStart(64, '0'), pubkey: 'a'.repeat(64), created_at: n, kind: 1, tags: [], content: '', sig: 's' });
+
+    const setup = () => {
+        const nostr = new MockSide();
+        const bt = new MockSide();
+        const received = [];
+        const onEose = jest.fn();
+        const sub = new HybridTransport(nostr, bt).subscribe({ authors: ['a'.repeat(64)] }, (e, sources) => received.push({ id: e.id, sources }), { onEose });
+        return { nostr, bt, received, onEose, sub };
+    };
+
+    test('should deliver each event once and collect its sources', () => {
+        const { nostr, bt, received, sub } = setup();
+
+        nostr.onEvent(event(1), 'wss://a');
+        nostr.options.onSeen(event(1).id, 'wss://a');
+        nostr.options.onSeen(event(1).id, 'wss://b');
+        bt.onEvent(event(1));
+        bt.onEvent(event(2));
+        bt.onEvent(event(2));
+
+        expect(received.map(r => r.id)).toEqual([event(1).id, event(2).id]);
+        expect(received[0].sources).toEqual(['wss://a', 'wss://b', Sources.SWARM]);
+        expect(sub.sources(event(2).id)).toEqual([Sources.SWARM]);
+        expect(sub.sources(event(3).id)).toEqual([]);
+    });
+
+    test('should signal EOSE once both networks have caught up', () => {
+        const { nostr, bt, onEose } = setup();
+
+        nostr.options.onEose();
+        expect(onEose).not.toHaveBeenCalled();
+        bt.options.onEose();
+        expect(onEose).toHaveBeenCalledTimes(1);
+    });
+
+    test('should close both sides and stop delivering', () => {
+        const { nostr, bt, received, onEose, sub } = setup();
+
+        sub.close();
+        expect(nostr.sub.close).toHaveBeenCalled();
+        expect(bt.sub.close).toHaveBeenCalled();
+
+        nostr.onEvent(event(1), 'wss://a');
+        nostr.options.onEose();
+        bt.options.onEose();
+        expect(received).toEqual([]);
+        expect(onEose).not.toHaveBeenCalled();
+    });
+
+    test('should report the relay each event came from', () => {
+        const nostr = new NostrTransport(['wss://a', 'wss://b']);
+        nostr.pool.subscribeMany = jest.fn((relays, filter, params) => {
+            params.receivedEvent({ url: 'wss://b' }, event(1).id);
+            params.onevent(event(1));
+            params.receivedEvent({ url: 'wss://a' }, event(1).id);
+            params.oneose();
+            return { close: jest.fn() };
+        });
+
+        const onEvent = jest.fn();
+        const onSeen = jest.fn();
+        const onEose = jest.fn();
+        nostr.subscribe({ kinds: [1] }, onEvent, { onSeen, onEose });
+
+        expect(onEvent).toHaveBeenCalledWith(event(1), 'wss://b');
+        expect(onSeen.mock.calls).toEqual([[event(1).id, 'wss://b'], [event(1).id, 'wss://a']]);
+        expect(onEose).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not report relays for events that fail verification', () => {
+        const nostr = new NostrTransport(['wss://a', 'wss://b']);
+        const tracked = [];
+        nostr.pool.subscribeMany = jest.fn((relays, filter, params) => {
+            // Like SimplePool with trackRelays on
+            params.receivedEvent = (relay, id) => tracked.push(id);
+            // Forged copy: received but never passed to onevent
+            params.receivedEvent({ url: 'wss://a' }, event(2).id);
+            params.receivedEvent({ url: 'wss://b' }, event(1).id);
+            params.onevent(event(1));
+            return { close: jest.fn() };
+        });
+
+        const onEvent = jest.fn();
+        const onSeen = jest.fn();
+        nostr.subscribe({ kinds: [1] }, onEvent, { onSeen });
+
+        expect(onEvent).toHaveBeenCalledTimes(1);
+        expect(onSeen.mock.calls).toEqual([[event(1).id, 'wss://b']]);
+        expect(tracked).toEqual([event(2).id, event(1).id]);
+    });
+
+    test('should signal EOSE immediately without relays', async () => {
+        const onEose = jest.fn();
+        new NostrTransport().subscribe({ kinds: [1] }, jest.fn(), { onEose });
+        await Promise.resolve();
+        expect(onEose).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect } from '@jest/globals';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
+import { bytesToHex } from 'nostr-tools/utils';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { MemoryFeedStore } from '../src/storage/MemoryFeedStore.js';
+import { verifyDelegation } from '../src/utils/DelegationUtils.js';
+import { MockDHT, MockBT } from './helpers/MockSwarm.js';
+
+describe('IdentityManager Key Derivation', () => {
+    const nostrSk = generateSecretKey();
+
+    test('should derive the same transport key from the same nsec', () => {
+        const a = IdentityManager.fromNostrSecretKey(nostrSk);
+        const b = IdentityManager.fromNostrSecretKey(bytesToHex(nostrSk));
+        expect(a.getPublicKey()).toBe(b.getPublicKey());
+        expect(a.nostrPubkey).toBe(getPublicKey(nostrSk));
+    });
+
+    test('should not reuse the Nostr secret as the Ed25519 seed', () => {
+        const derived = IdentityManager.fromNostrSecretKey(nostrSk);
+        const legacy = IdentityManager.fromLegacyNostrSecretKey(nostrSk);
+        expect(derived.getSecretKey()).not.toBe(bytesToHex(nostrSk));
+        expect(legacy.getSecretKey()).toBe(bytesToHex(nostrSk));
+    });
+
+    test('should separate keys by account index', () => {
+        const first = IdentityManager.fromNostrSecretKey(nostrSk, { account: 0 });
+        const second = IdentityManager.fromNostrSecretKey(nostrSk, { account: 1 });
+        expect(first.getPublicKey()).not.toBe(second.getPublicKey());
+        expect(second.account).toBe(1);
+    });
+
+    test('should reject invalid account indexes', () => {
+        expect(() => IdentityManager.deriveTransportSeed(nostrSk, -1)).toThrow('Invalid account index');
+    });
+
+    test('migration should delegate both keys and link them in the attestation', async () => {
+        const identity = await IdentityManager.migrateFromLegacy(nostrSk);
+        const legacy = identity.getActiveLegacy();
+
+        expect(legacy.getPublicKey()).toBe(IdentityManager.fromLegacyNostrSecretKey(nostrSk).getPublicKey());
+        expect(verifyDelegation(identity.getPublicKey(), identity.delegation)).toBe(true);
+        expect(verifyDelegation(legacy.getPublicKey(), legacy.delegation)).toBe(true);
+        expect(legacy.delegation.expiresAt).toBe(identity.legacy.graceUntil);
+
+        const attestation = identity.createAttestation();
+        expect(attestation.content).toBe(identity.getPublicKey());
+        expect(attestation.tags).toContainEqual(['migrated-from', legacy.getPublicKey()]);
+    });
+
+    test('FeedManager should mirror pointers to the legacy key during the grace period', async () => {
+        const identity = await IdentityManager.migrateFromLegacy(nostrSk);
+        const dht = new MockDHT();
+        const feed = new FeedManager({ getDHT: () => dht }, identity);
+        const infoHash = 'ab'.repeat(20);
+
+        await feed.publishFeedPointer(infoHash);
+
+        const legacyPk = identity.getActiveLegacy().getPublicKey();
+        expect((await feed.resolveFeedPointer(identity.getPublicKey())).infoHash).toBe(infoHash);
+        expect((await feed.resolveFeedPointer(legacyPk)).infoHash).toBe(infoHash);
+    });
+
+    test('FeedManager should continue the legacy feed without extending the grace period on restart', async () => {
+        const store = new MemoryFeedStore();
+        const bt = { getDHT: () => new MockDHT() };
+        const legacyPk = IdentityManager.fromLegacyNostrSecretKey(nostrSk).getPublicKey();
+        const item = { id: 'evt1', magnet: 'magnet:?xt=urn:btih:' + 'ee'.repeat(20), ts: 1000, kind: 1 };
+        await store.save(legacyPk, { seq: 4, lastSeq: 3, lastInfoHash: 'ab'.repeat(20), index: { updated_at: 1000, items: [item] } });
+
+        const graceUntil = Math.floor(Date.now() / 1000) + 100;
+        const identity = await IdentityManager.migrateFromLegacy(nostrSk, { graceUntil });
+        const feed = new FeedManager(bt, identity, { store, republishIntervalMs: 0 });
+        await feed.restore();
+
+        expect(feed.index.items.map(i => i.id)).toEqual(['evt1']);
+        expect(feed.lastInfoHash).toBe('ab'.repeat(20));
+        expect((await store.load(identity.getPublicKey())).legacyGraceUntil).toBe(graceUntil);
+
+        const restarted = await IdentityManager.migrateFromLegacy(nostrSk);
+        await new FeedManager(bt, restarted, { store, republishIntervalMs: 0 }).restore();
+        expect(restarted.legacy.graceUntil).toBe(graceUntil);
+    });
+
+    test('FeedManager should skip the migration when the legacy key never had a feed', async () => {
+        const store = new MemoryFeedStore();
+        const dht = new MockDHT();
+        const bt = new MockBT(dht);
+        const fresh = generateSecretKey();
+
+        const identity = await IdentityManager.migrateFromLegacy(fresh);
+        const feed = new FeedManager(bt, identity, { store, republishIntervalMs: 0 });
+        await feed.updateFeed({ id: 'evt1', created_at: 100, kind: 1 }, 'magnet:?xt=urn:btih:' + 'ee'.repeat(20));
+
+        expect(identity.legacy).toBeNull();
+        expect([...dht.store.keys()]).toEqual([identity.getPublicKey()]);
+
+        const restarted = await IdentityManager.migrateFromLegacy(fresh);
+        await new FeedManager(bt, restarted, { store, republishIntervalMs: 0 }).restore();
+        expect(restarted.legacy).toBeNull();
+    });
+
+    test('delegate should take the lifetime as options', async () => {
+        const identity = IdentityManager.fromNostrSecretKey(nostrSk);
+        const now = Math.floor(Date.now() / 1000);
+
+        expect((await identity.delegate(nostrSk, { ttl: 60 })).expiresAt).toBeGreaterThanOrEqual(now + 60);
+        expect((await identity.delegate(nostrSk, { expiresAt: now + 5 })).expiresAt).toBe(now + 5);
+    });
+
+    test('FeedManager should stop mirroring after the grace period', async () => {
+        const identity = await IdentityManager.migrateFromLegacy(nostrSk, { graceUntil: 1 });
+        const dht = new MockDHT();
+        const feed = new FeedManager({ getDHT: () => dht }, identity);
+
+        await feed.publishFeedPointer('cd'.repeat(20));
+
+        expect(identity.getActiveLegacy()).toBeNull();
+        expect(dht.store.size).toBe(1);
+    });
+});
@@ -0,0 +1,144 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { FeedTracker } from '../src/core/FeedTracker.js';
+import { verifyRotation, getRotationFromEvent } from '../src/utils/DelegationUtils.js';
+import { ConflictError } from '../src/utils/Errors.js';
+import { MockBT } from './helpers/MockSwarm.js';
+
+describe('Transport Key Rotation', () => {
+    let nostrSk;
+    let nostrPk;
+    let identity;
+    let bt;
+    let feed;
+    let tracker;
+
+    beforeEach(async () => {
+        nostrSk = generateSecretKey();
+        nostrPk = getPublicKey(nostrSk);
+        identity = IdentityManager.fromNostrSecretKey(nostrSk);
+        await identity.delegate(nostrSk);
+        bt = new MockBT();
+        feed = new FeedManager(bt, identity);
+        tracker = new FeedTracker({ transport: { bt, nostr: null }, feedManager: feed });
+    });
+
+    test('rotate() should derive the next account and sign the move', async () => {
+        const { successor, rotation } = await identity.rotate(nostrSk);
+
+        expect(successor.account).toBe(1);
+        expect(successor.getPublicKey()).toBe(IdentityManager.fromNostrSecretKey(nostrSk, { account: 1 }).getPublicKey());
+        expect(rotation.to).toBe(successor.getPublicKey());
+        expect(verifyRotation(identity.getPublicKey(), rotation)).toBe(true);
+    });
+
+    test('rotation events should round-trip through tags', async () => {
+        const { rotation } = await identity.rotate(nostrSk);
+        const event = IdentityManager.createRotationEvent(rotation);
+
+        expect(event.tags).toContainEqual(['d', `nostr-over-bt-rotation:${identity.getPublicKey()}`]);
+        expect(verifyRotation(identity.getPublicKey(), getRotationFromEvent(event))).toBe(true);
+    });
+
+    test('discover should follow a rotation chain to the successor feed', async () => {
+        const oldPk = identity.getPublicKey();
+        await feed.publishFeedPointer('ab'.repeat(20));
+
+        const { successor, rotation } = await identity.rotate(nostrSk);
+        const signed = await feed.rotateKey(successor, rotation, async (e) => ({ ...e, sig: 'signed' }));
+
+        expect(signed.sig).toBe('signed');
+        expect(feed.identity).toBe(successor);
+
+        const magnetUri = await tracker.discover(oldPk, nostrPk);
+        expect(magnetUri).toContain('ab'.repeat(20));
+        expect(tracker.resolveSuccessor(oldPk)).toBe(successor.getPublicKey());
+    });
+
+    test('rotateKey should not overwrite a pointer another device published', async () => {
+        await feed.publishFeedPointer('ab'.repeat(20));
+        const other = new FeedManager(bt, identity);
+        await other.syncSequence();
+        await other.publishFeedPointer('cd'.repeat(20));
+
+        const { successor, rotation } = await identity.rotate(nostrSk);
+        await expect(feed.rotateKey(successor, rotation)).rejects.toBeInstanceOf(ConflictError);
+
+        expect(feed.identity).toBe(identity);
+        const record = await feed.resolveFeedPointer(identity.getPublicKey());
+        expect(record.infoHash).toBe('cd'.repeat(20));
+        expect(record.rotation).toBeNull();
+    });
+
+    test('discover should refuse revoked keys', async () => {
+        const oldPk = identity.getPublicKey();
+        await feed.publishFeedPointer('ab'.repeat(20));
+        await feed.revokeKey(await identity.revoke(nostrSk));
+
+        expect(await tracker.discover(oldPk, nostrPk)).toBeNull();
+
+        // A compromised key re-publishing a normal record stays refused
+        await feed.publishFeedPointer('cd'.repeat(20));
+        expect(await tracker.discover(oldPk, nostrPk)).toBeNull();
+    });
+
+    test('should ignore rotation records not signed by the Nostr key', async () => {
+        const oldPk = identity.getPublicKey();
+        const attacker = generateSecretKey();
+        const forged = await identity.revoke(attacker);
+        forged.nostrPubkey = nostrPk;
+
+        await feed.revokeKey(forged);
+
+        expect(await tracker.discover(oldPk, nostrPk)).toBeNull();
+        expect(tracker.rotations.has(oldPk)).toBe(false);
+    });
+
+    test('should reject rotations by a Nostr key that never delegated the transport key', async () => {
+        const oldPk = identity.getPublicKey();
+        await feed.publishFeedPointer('ab'.repeat(20));
+        // Learns the owner from the delegated record
+        expect(await tracker.discover(oldPk)).toContain('ab'.repeat(20));
+
+        // Whoever holds the transport key can delegate it to, and sign with, their own Nostr key
+        const hijack = await identity.revoke(generateSecretKey());
+        expect(verifyRotation(oldPk, hijack)).toBe(true);
+        expect(tracker.applyRotationEvent(IdentityManager.createRotationEvent(hijack))).toBe(false);
+
+        await feed.revokeKey(hijack);
+        expect(await tracker.discover(oldPk, null, 0, { fresh: true })).toBeNull();
+        expect(tracker.rotations.has(oldPk)).toBe(false);
+    });
+
+    test('discover should honour revocations announced on relays', async () => {
+        const oldPk = identity.getPublicKey();
+        const announcement = IdentityManager.createRotationEvent(await identity.revoke(nostrSk));
+        const nostr = {
+            subscribe: jest.fn((filter, cb, options) => {
+                if (filter['#d'][0] === announcement.tags[0][1]) cb(announcement);
+                options.onEose();
+                return { close: () => {} };
+            })
+        };
+        tracker = new FeedTracker({ transport: { bt, nostr }, feedManager: feed });
+
+        // The compromised key keeps its DHT slot pointing at a feed
+        await feed.publishFeedPointer('cd'.repeat(20));
+
+        expect(await tracker.discover(oldPk, nostrPk)).toBeNull();
+        expect(await tracker.discover(oldPk, nostrPk, 0, { fresh: true })).toBeNull();
+        expect(nostr.subscribe).toHaveBeenCalledTimes(1);
+        expect(nostr.subscribe.mock.calls[0][0].authors).toEqual([nostrPk]);
+    });
+
+    test('applyRotationEvent should mark keys revoked from relay announcements', async () => {
+        const rotation = await identity.revoke(nostrSk);
+        const event = IdentityManager.createRotationEvent(rotation);
+
+        expect(tracker.applyRotationEvent(event)).toBe(false);
+        expect(tracker.applyRotationEvent(event, nostrPk)).toBe(true);
+        expect(tracker.resolveSuccessor(identity.getPublicKey())).toBeNull();
+    });
+});
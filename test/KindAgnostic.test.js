@@ -1,4 +1,5 @@
 import { jest, describe, test, expect } from '@jest/globals';
+import { finalizeEvent, generateSecretKey } from 'nostr-tools';
 import { EventPackager } from '../src/core/EventPackager.js';
 
 describe('Kind Agnostic Verification', () => {
@@ -14,15 +15,12 @@ describe('Kind Agnostic Verification', () => {
 
     testKinds.forEach(({ kind, name }) => {
         test(`should correctly package and unpack Kind ${kind} (${name})`, () => {
-            const event = {
-                id: `id-kind-${kind}`,
-                pubkey: 'pubkey',
+            const event = finalizeEvent({
                 created_at: 123456,
                 kind: kind,
                 tags: [],
-                content: `Content for kind ${kind}`,
-                sig: 'sig'
-            };
+                content: `Content for kind ${kind}`
+            }, generateSecretKey());
 
             const buffer = packager.package(event);
             const unpacked = packager.unpack(buffer);
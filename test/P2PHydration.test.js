@@ -0,0 +1,139 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { generateSecretKey, finalizeEvent } from 'nostr-tools';
+import { TransportManager } from '../src/core/TransportManager.js';
+import { EventPackager } from '../src/core/EventPackager.js';
+import { IntegrityError, TransportError } from '../src/utils/Errors.js';
+import { mapConcurrent } from '../src/utils/AsyncUtils.js';
+import { MockBT } from './helpers/MockSwarm.js';
+
+// Mock swarm tracking parallel downloads
+class TrackingBT extends MockBT {
+    inFlight = 0;
+    peak = 0;
+    fetch = jest.fn(async (magnetUri) => {
+        this.peak = Math.max(this.peak, ++this.inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        this.inFlight--;
+        return super.fetch(magnetUri);
+    });
+}
+
+describe('P2P Event Hydration', () => {
+    const sk = generateSecretKey();
+    const packager = new EventPackager();
+    let bt;
+    let manager;
+
+    const seed = async (n) => {
+        const event = finalizeEvent({ kind: 1, created_at: 1000 + n, tags: [], content: `note ${n}` }, sk);
+        const magnet = await bt.publish({ buffer: packager.package(event), filename: 'event.json' });
+        return { event, item: { id: event.id, magnet, ts: event.created_at, kind: 1 } };
+    };
+    const collect = async (iterator) => {
+        const results = [];
+        for await (const result of iterator) results.push(result);
+        return results;
+    };
+
+    beforeEach(() => {
+        bt = new TrackingBT();
+        manager = new TransportManager({ bt, nostr: null });
+    });
+
+    test('should yield every item as a verified event within the concurrency limit', async () => {
+        const seeded = await Promise.all(Array.from({ length: 10 }, (_, i) => seed(i)));
+
+        const results = await collect(manager.hydrateP2P(seeded.map(s => s.item), { concurrency: 3 }));
+
+        expect(results).toHaveLength(10);
+        expect(results.every(r => r.event && !r.error)).toBe(true);
+        expect(results.map(r => r.event.id).sort()).toEqual(seeded.map(s => s.event.id).sort());
+        expect(results.find(r => r.item.id === seeded[4].item.id).event.content).toBe('note 4');
+        expect(bt.peak).toBe(3);
+    });
+
+    test('should report failures per item without stopping the rest', async () => {
+        const ok = await seed(1);
+        const missing = { ...(await seed(2)).item, magnet: 'magnet:?xt=urn:btih:' + '00'.repeat(20) };
+        const other = await seed(3);
+        // Item names a different event than the torrent serves
+        const swapped = { ...other.item, id: ok.event.id.replace(/^./, c => (c === '0' ? '1' : '0')) };
+
+        const results = await collect(manager.hydrateP2P([ok.item, missing, swapped]));
+        const byId = new Map(results.map(r => [r.item.id, r]));
+
+        expect(byId.get(ok.item.id).event.id).toBe(ok.event.id);
+        expect(byId.get(missing.id).error).toBeInstanceOf(TransportError);
+        expect(byId.get(swapped.id).error).toBeInstanceOf(IntegrityError);
+        expect(byId.get(swapped.id).event).toBeUndefined();
+    });
+
+    test('should serve already verified events from the cache', async () => {
+        const { item, event } = await seed(1);
+
+        await collect(manager.hydrateP2P([item]));
+        const [again] = await collect(manager.hydrateP2P([item]));
+
+        expect(again.event).toEqual(event);
+        expect(bt.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should yield every cached event on a second pass', async () => {
+        const items = (await Promise.all(Array.from({ length: 8 }, (_, i) => seed(i)))).map(s => s.item);
+
+        await collect(manager.hydrateP2P(items));
+        const again = await collect(manager.hydrateP2P(items, { concurrency: 3 }));
+
+        expect(again.map(r => r.event.id).sort()).toEqual(items.map(i => i.id).sort());
+        expect(bt.fetch).toHaveBeenCalledTimes(8);
+    });
+
+    test('mapConcurrent should not lose outcomes that settle in the same tick', async () => {
+        const results = await collect(mapConcurrent([1, 2, 3, 4, 5, 6], async (i) => i * 10, 3));
+        expect(results.map(r => r.item).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('mapConcurrent should buffer outcomes for a slow consumer within the limit', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const seen = [];
+        const work = mapConcurrent([1, 2, 3, 4, 5, 6, 7], async (i) => {
+            peak = Math.max(peak, ++inFlight);
+            await Promise.resolve();
+            inFlight--;
+            if (i === 4) throw new Error('boom');
+            return i;
+        }, 3);
+
+        for await (const { item, error } of work) {
+            seen.push(error ? `error:${item}` : item);
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        expect(seen.sort()).toEqual([1, 2, 3, 5, 6, 7, 'error:4']);
+        expect(peak).toBeLessThanOrEqual(3);
+    });
+
+    test('mapConcurrent should start no new work after the consumer stops', async () => {
+        const fn = jest.fn(async (i) => i);
+        for await (const result of mapConcurrent([1, 2, 3, 4, 5, 6], fn, 2)) {
+            expect(result.item).toBe(1);
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(fn.mock.calls.length).toBeLessThan(6);
+    });
+
+    test('mapConcurrent should yield in completion order and keep going after errors', async () => {
+        const delays = [30, 5, 15];
+        const results = await collect(mapConcurrent([0, 1, 2], async (i) => {
+            await new Promise(resolve => setTimeout(resolve, delays[i]));
+            if (i === 2) throw new Error('boom');
+            return i * 10;
+        }, 3));
+
+        expect(results.map(r => r.item)).toEqual([1, 2, 0]);
+        expect(results[0].value).toBe(10);
+        expect(results[1].error.message).toBe('boom');
+    });
+});
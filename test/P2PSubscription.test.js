@@ -0,0 +1,181 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools';
+import { FeedSubscription } from '../src/transport/FeedSubscription.js';
+import { IntegrityError, TransportError } from '../src/utils/Errors.js';
+
+// Mock resolver serving one mutable feed head per author
+class MockResolver {
+    constructor() {
+        this.heads = new Map(); // nostrPubkey -> { magnet, items }
+        this.events = new Map(); // id -> event
+        this.failures = 0;
+    }
+    publish(sk, kind, ts) {
+        const event = finalizeEvent({ kind, created_at: ts, tags: [], content: `${kind}@${ts}` }, sk);
+        const pubkey = getPublicKey(sk);
+        const head = this.heads.get(pubkey) || { magnet: null, items: [] };
+        const items = [{ id: event.id, kind, ts, magnet: `magnet:?xt=urn:btih:${event.id.substring(0, 40)}` }, ...head.items];
+        this.heads.set(pubkey, { magnet: `magnet:?xt=urn:btih:${pubkey.substring(0, 8)}${items.length}`, items });
+        this.events.set(event.id, event);
+        return event;
+    }
+    resolveTransportKey = jest.fn(async (nostrPubkey) => `t-${nostrPubkey}`);
+    pollFeedP2P = jest.fn(async (transportPubkey, nostrPubkey, lastMagnet) => {
+        if (this.failures > 0) {
+            this.failures--;
+            throw new TransportError('DHT unreachable', 'bittorrent');
+        }
+        const head = this.heads.get(nostrPubkey);
+        if (!head) return { magnet: null, items: [] };
+        return { magnet: head.magnet, items: head.magnet === lastMagnet ? [] : head.items };
+    });
+    fetchEventP2P = jest.fn(async (item) => {
+        const event = this.events.get(item.id);
+        if (event.content === 'tampered') throw new IntegrityError(`Invalid signature for event ${item.id}`, item.id);
+        return event;
+    });
+}
+
+describe('P2P Live Subscriptions', () => {
+    const alice = generateSecretKey();
+    const bob = generateSecretKey();
+    let sub;
+
+    const until = async (condition) => {
+        for (let i = 0; i < 200 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+        expect(condition()).toBe(true);
+    };
+
+    afterEach(() => {
+        if (sub) sub.close();
+        sub = null;
+    });
+
+    test('should deliver stored events, signal EOSE, then stream new ones once', async () => {
+        const resolver = new MockResolver();
+        const first = resolver.publish(alice, 1, 100);
+        const second = resolver.publish(bob, 1, 110);
+
+        const received = [];
+        const onEose = jest.fn();
+        const filter = { authors: [getPublicKey(alice), getPublicKey(bob)] };
+        sub = new FeedSubscription(resolver, filter, e => received.push(e.id), { pollIntervalMs: 10, onEose }).start();
+
+        await until(() => onEose.mock.calls.length === 1);
+        expect(received.sort()).toEqual([first.id, second.id].sort());
+
+        const third = resolver.publish(alice, 1, 120);
+        await until(() => received.length === 3);
+        expect(received[2]).toBe(third.id);
+
+        // Unchanged heads are not re-fetched
+        const fetches = resolver.fetchEventP2P.mock.calls.length;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(resolver.fetchEventP2P.mock.calls.length).toBe(fetches);
+        expect(received.length).toBe(3);
+        expect(onEose).toHaveBeenCalledTimes(1);
+    });
+
+    test('should filter by kind and time and cap the initial backlog with limit', async () => {
+        const resolver = new MockResolver();
+        resolver.publish(alice, 1, 100);
+        const older = resolver.publish(alice, 1, 200);
+        resolver.publish(alice, 7, 250);
+        const newest = resolver.publish(alice, 1, 300);
+        resolver.publish(alice, 1, 400);
+
+        const received = [];
+        const onEose = jest.fn();
+        const filter = { authors: [getPublicKey(alice)], kinds: [1], since: 150, until: 350, limit: 2 };
+        sub = new FeedSubscription(resolver, filter, e => received.push(e), { pollIntervalMs: 10, onEose }).start();
+
+        await until(() => onEose.mock.calls.length === 1);
+        // Oldest first, like a relay replaying stored events
+        expect(received.map(e => e.id)).toEqual([older.id, newest.id]);
+        expect(resolver.fetchEventP2P).toHaveBeenCalledTimes(2);
+
+        const live = resolver.publish(alice, 1, 320);
+        await until(() => received.length === 3);
+        expect(received[2].id).toBe(live.id);
+    });
+
+    test('should skip history beyond the initial limit on later polls', async () => {
+        const resolver = new MockResolver();
+        resolver.publish(alice, 1, 100);
+        resolver.publish(alice, 1, 200);
+
+        const received = [];
+        const onEose = jest.fn();
+        sub = new FeedSubscription(resolver, { authors: [getPublicKey(alice)], limit: 1 }, e => received.push(e), { pollIntervalMs: 10, onEose }).start();
+        await until(() => onEose.mock.calls.length === 1);
+
+        resolver.publish(alice, 1, 300);
+        await until(() => received.length === 2);
+        expect(received.map(e => e.created_at)).toEqual([200, 300]);
+    });
+
+    test('should drop events that fail verification', async () => {
+        const resolver = new MockResolver();
+        const forged = resolver.publish(alice, 1, 100);
+        forged.content = 'tampered';
+        const valid = resolver.publish(alice, 1, 200);
+
+        const received = [];
+        const onEose = jest.fn();
+        sub = new FeedSubscription(resolver, { authors: [getPublicKey(alice)] }, e => received.push(e.id), { pollIntervalMs: 10, onEose }).start();
+
+        await until(() => onEose.mock.calls.length === 1);
+        expect(received).toEqual([valid.id]);
+
+        // The forged item is not fetched again when the head moves
+        resolver.publish(alice, 1, 300);
+        await until(() => received.length === 2);
+        expect(resolver.fetchEventP2P.mock.calls.filter(([item]) => item.id === forged.id)).toHaveLength(1);
+    });
+
+    test('should retry failed downloads on the next poll', async () => {
+        const resolver = new MockResolver();
+        const event = resolver.publish(alice, 1, 100);
+        resolver.fetchEventP2P.mockRejectedValueOnce(new TransportError('No peers', 'bittorrent'));
+
+        const received = [];
+        sub = new FeedSubscription(resolver, { authors: [getPublicKey(alice)] }, e => received.push(e.id), { pollIntervalMs: 10 }).start();
+
+        await until(() => received.length === 1);
+        expect(received).toEqual([event.id]);
+        expect(resolver.fetchEventP2P).toHaveBeenCalledTimes(2);
+    });
+
+    test('should back off exponentially and re-resolve keys after failures', async () => {
+        const resolver = new MockResolver();
+        resolver.publish(alice, 1, 100);
+        resolver.failures = 3;
+
+        const received = [];
+        const start = Date.now();
+        sub = new FeedSubscription(resolver, { authors: [getPublicKey(alice)] }, e => received.push(e), { pollIntervalMs: 10, maxBackoffMs: 40 }).start();
+
+        await until(() => received.length === 1);
+        // 20ms, 40ms, then 40ms (capped) between the four polls
+        expect(Date.now() - start).toBeGreaterThanOrEqual(100);
+        expect(resolver.pollFeedP2P).toHaveBeenCalledTimes(4);
+        expect(resolver.resolveTransportKey).toHaveBeenCalledTimes(4);
+        expect(sub.feeds[0].delay).toBe(10);
+    });
+
+    test('should stop polling and delivering once closed', async () => {
+        const resolver = new MockResolver();
+        resolver.publish(alice, 1, 100);
+
+        const onEvent = jest.fn();
+        const onEose = jest.fn();
+        sub = new FeedSubscription(resolver, { authors: [getPublicKey(alice)] }, onEvent, { pollIntervalMs: 10, onEose }).start();
+        sub.close();
+
+        resolver.publish(alice, 1, 200);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(onEvent).not.toHaveBeenCalled();
+        expect(onEose).not.toHaveBeenCalled();
+        expect(resolver.pollFeedP2P).toHaveBeenCalledTimes(1);
+    });
+});
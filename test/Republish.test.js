@@ -0,0 +1,100 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { generateSecretKey } from 'nostr-tools';
+import { FeedManager } from '../src/core/FeedManager.js';
+import { IdentityManager } from '../src/core/IdentityManager.js';
+import { MockBT } from './helpers/MockSwarm.js';
+
+describe('BEP-44 Record Republishing', () => {
+    let bt;
+    let identity;
+    let feedManager;
+
+    beforeEach(() => {
+        bt = new MockBT();
+        identity = new IdentityManager();
+        identity.generate();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        if (feedManager) await feedManager.disconnect();
+    });
+
+    const later = (seconds) => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + seconds * 1000);
+    };
+
+    test('republish should re-put the same seq and signature', async () => {
+        feedManager = new FeedManager(bt, identity, { republishIntervalMs: 0 });
+        await feedManager.publishFeedPointer('cd'.repeat(20));
+        const firstPutAt = feedManager.lastPutAt;
+        expect(firstPutAt).not.toBeNull();
+
+        // Simulate the record expiring from the node
+        bt.dht.store.clear();
+        expect(await feedManager.republish()).toBe(1);
+
+        const [original, refreshed] = bt.dht.puts;
+        expect(refreshed.seq).toBe(original.seq);
+        expect(refreshed.sig).toBe(original.sig);
+        expect(feedManager.seq).toBe(original.seq + 1);
+        expect(feedManager.lastPutAt).toBeGreaterThanOrEqual(firstPutAt);
+    });
+
+    test('nodes still holding the record should count as refreshed', async () => {
+        feedManager = new FeedManager(bt, identity, { republishIntervalMs: 0 });
+        await feedManager.publishFeedPointer('cd'.repeat(20));
+        expect(await feedManager.republish()).toBe(1);
+    });
+
+    test('should adopt the stored record after a restart', async () => {
+        await new FeedManager(bt, identity, { republishIntervalMs: 0 }).publishFeedPointer('cd'.repeat(20));
+
+        feedManager = new FeedManager(bt, identity, { republishIntervalMs: 0 });
+        expect(await feedManager.republish()).toBe(1);
+        expect(bt.dht.puts[1].sig).toBe(bt.dht.puts[0].sig);
+    });
+
+    test('should stop republishing the legacy mirror after the grace period', async () => {
+        const migrated = await IdentityManager.migrateFromLegacy(generateSecretKey(), { graceUntil: Math.floor(Date.now() / 1000) + 100 });
+        feedManager = new FeedManager(bt, migrated, { republishIntervalMs: 0 });
+        await feedManager.publishFeedPointer('cd'.repeat(20));
+        expect(feedManager.records.size).toBe(2);
+
+        later(200);
+        expect(await feedManager.republish()).toBe(1);
+        expect([...feedManager.records.keys()]).toEqual([migrated.getPublicKey()]);
+    });
+
+    test('should stop republishing a retired key once its delegation expires', async () => {
+        const nostrSk = generateSecretKey();
+        const derived = IdentityManager.fromNostrSecretKey(nostrSk);
+        await derived.delegate(nostrSk, { ttl: 100 });
+        feedManager = new FeedManager(bt, derived, { republishIntervalMs: 0 });
+        await feedManager.publishFeedPointer('cd'.repeat(20));
+
+        const { successor, rotation } = await derived.rotate(nostrSk);
+        await feedManager.rotateKey(successor, rotation);
+        expect(await feedManager.republish()).toBe(2);
+
+        later(200);
+        expect(await feedManager.republish()).toBe(1);
+        expect([...feedManager.records.keys()]).toEqual([successor.getPublicKey()]);
+    });
+
+    test('scheduler should run on the interval and stop on disconnect', async () => {
+        feedManager = new FeedManager(bt, identity, { republishIntervalMs: 20 });
+        await feedManager.publishFeedPointer('cd'.repeat(20));
+        expect(feedManager.republishTimer).not.toBeNull();
+
+        await new Promise(resolve => setTimeout(resolve, 70));
+        const puts = bt.dht.puts.length;
+        expect(puts).toBeGreaterThan(1);
+
+        await feedManager.disconnect();
+        expect(feedManager.republishTimer).toBeNull();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(bt.dht.puts.length).toBe(puts);
+    });
+});
@@ -74,6 +74,52 @@ describe('TransportManager', () => {
         expect(magnet).toBe('magnet:?xt=urn:btih:reseed');
     });
 
+    test('should not seed events whose NIP-40 expiration has passed', async () => {
+        const expired = { ...mockEvent, tags: [['expiration', '1000']] };
+        expect(await transportManager.reseedEvent(expired, false)).toBeNull();
+        expect(mockBt.publish).not.toHaveBeenCalled();
+    });
+
+    test('should unseed a deleted event by its cached or canonical magnet', async () => {
+        mockBt.publish.mockResolvedValue('magnet:?xt=urn:btih:reseed');
+        mockBt.unpublish = jest.fn().mockResolvedValue(true);
+        await transportManager.reseedEvent(mockEvent, false);
+
+        expect(await transportManager.unseedEvent(mockEvent)).toBe(true);
+        expect(mockBt.unpublish).toHaveBeenCalledWith('magnet:?xt=urn:btih:reseed');
+        expect(transportManager.magnetCache.has(mockEvent.id)).toBe(false);
+
+        await transportManager.unseedEvent(mockEvent);
+        expect(mockBt.unpublish).toHaveBeenLastCalledWith(transportManager.packager.getMagnet(mockEvent));
+    });
+
+    test('should attach itself as the resolver for P2P subscriptions', () => {
+        const bt = { setResolver: jest.fn() };
+        const manager = new TransportManager({ nostr: mockNostr, bt });
+        expect(bt.setResolver).toHaveBeenCalledWith(manager);
+    });
+
+    test('should only fetch a polled feed index when its head moved', async () => {
+        const items = [{ id: 'e1', ts: 1, kind: 1, magnet: 'magnet:?xt=urn:btih:e1' }];
+        transportManager.tracker.discover = jest.fn().mockResolvedValue('magnet:?xt=urn:btih:head');
+        transportManager._fetchIndexPage = jest.fn().mockResolvedValue({ items, prev: null });
+
+        expect(await transportManager.pollFeedP2P('tpk', 'npk')).toEqual({ magnet: 'magnet:?xt=urn:btih:head', items });
+        expect(transportManager.tracker.discover).toHaveBeenCalledWith('tpk', 'npk', 0, { fresh: true });
+
+        expect(await transportManager.pollFeedP2P('tpk', 'npk', 'magnet:?xt=urn:btih:head')).toEqual({ magnet: 'magnet:?xt=urn:btih:head', items: [] });
+        expect(transportManager._fetchIndexPage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should seed tagged events instead of reporting the bt tag', async () => {
+        const tagged = { ...mockEvent, tags: [['bt', 'magnet:?xt=urn:btih:' + 'ab'.repeat(20)]] };
+        mockBt.publish.mockResolvedValue('magnet:?xt=urn:btih:reseed');
+
+        const magnet = await transportManager.reseedEvent(tagged, false);
+        expect(magnet).toBe('magnet:?xt=urn:btih:reseed');
+        expect(mockBt.publish).toHaveBeenCalledWith(transportManager.packager.packageTorrent(tagged));
+    });
+
     test('should fetch media via BT first', async () => {
         mockBt.fetch = jest.fn().mockResolvedValue(Buffer.from('bt-content'));
         const eventWithMagnet = { ...mockEvent, tags: [['bt', 'magnet:abc']] };
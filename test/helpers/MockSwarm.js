@@ -0,0 +1,72 @@
+import { TransportError } from '../../src/utils/Errors.js';
+
+const infoHashOf = (magnetUri) => magnetUri.match(/xt=urn:btih:([0-9a-f]+)/)[1];
+// Shared across instances so swarms sharing `torrents` never collide
+let published = 0;
+
+/**
+ * Mock DHT keyed by the transport public key, enforcing the BEP-44 seq/cas
+ * rules a storing node applies to mutable puts. Every put is recorded.
+ */
+export class MockDHT {
+    constructor() {
+        this.store = new Map();
+        this.puts = [];
+    }
+
+    put(opts, cb) {
+        const sig = Buffer.from(opts.sig || opts.sign(Buffer.from(`${opts.seq}`)));
+        this.puts.push({ seq: opts.seq, cas: opts.cas, sig: sig.toString('hex') });
+
+        const key = Buffer.from(opts.k).toString('hex');
+        const current = this.store.get(key);
+        setImmediate(() => {
+            if (current && typeof opts.cas === 'number' && opts.cas !== current.seq) {
+                return cb(Object.assign(new Error('CAS mismatch, re-read and try again'), { code: 301 }));
+            }
+            if (current && !(opts.seq > current.seq)) {
+                return cb(Object.assign(new Error('sequence number less than current'), { code: 302 }));
+            }
+            this.store.set(key, { v: opts.v, seq: opts.seq, k: opts.k, sig });
+            cb(null, Buffer.from('mock-hash'));
+        });
+    }
+
+    get(target, cb) {
+        cb(null, this.store.get(Buffer.from(target).toString('hex')) || null);
+    }
+}
+
+/**
+ * Mock swarm storing published buffers under fresh fake infohashes.
+ * Pass the same `dht` and `torrents` to several instances to model devices
+ * sharing one network.
+ */
+export class MockBT {
+    constructor(dht = new MockDHT(), torrents = new Map()) {
+        this.dht = dht;
+        this.torrents = torrents;
+        this.removed = [];
+        this.announce = [];
+    }
+
+    getDHT() { return this.dht; }
+
+    async publish(data) {
+        const hash = (++published).toString(16).padStart(40, '0');
+        this.torrents.set(hash, data.buffer);
+        return `magnet:?xt=urn:btih:${hash}&dn=${data.filename}`;
+    }
+
+    async unpublish(magnetUri) {
+        const hash = infoHashOf(magnetUri);
+        this.removed.push(hash);
+        return this.torrents.delete(hash);
+    }
+
+    async fetch(magnetUri) {
+        const hash = infoHashOf(magnetUri);
+        if (!this.torrents.has(hash)) throw new TransportError(`Torrent not found: ${hash}`, 'bittorrent');
+        return this.torrents.get(hash);
+    }
+}
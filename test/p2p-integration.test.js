@@ -1,4 +1,5 @@
 import { jest, describe, test, expect } from '@jest/globals';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
 import { TransportManager } from '../src/core/TransportManager.js';
 import { FeedManager } from '../src/core/FeedManager.js';
 import { IdentityManager } from '../src/core/IdentityManager.js';
@@ -75,10 +76,12 @@ describe('P2P End-to-End Integration', () => {
             test('Bob discovers Alice events by following her Nostr pubkey', async () => {
 
                 // Setup Alice
-                const aliceNostrPk = '00'.repeat(32);
+                const aliceNostrSk = generateSecretKey();
+                const aliceNostrPk = getPublicKey(aliceNostrSk);
                 const aliceIdentity = new IdentityManager(null, aliceNostrPk);
 
                 aliceIdentity.generate();
+                await aliceIdentity.delegate(aliceNostrSk);
 
                 const aliceBT = new MockBT();
 
@@ -110,11 +113,13 @@ describe('P2P End-to-End Integration', () => {
 
                 // 2. Mock Bob finding Alice's attestation on Nostr
 
-                bobNostr.subscribe = jest.fn((filter, cb) => {
+                bobNostr.subscribe = jest.fn((filter, cb, options) => {
 
                     // Simulate finding the attestation event
 
-                    cb({ content: aliceIdentity.getPublicKey() });
+                    cb(aliceIdentity.createAttestation());
+
+                    options.onEose();
 
                 });
 